@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+
+// Helper functions.
+const { auditApp, formatAuditTable, hasFailingIssues } = require('../lib/cli/audit');
+const buildErrorCatalogue = require('../lib/validations/errorCatalogue');
+const withLoadedApp = require('../lib/cli/loadApp');
+
+const USAGE = `Usage: stockade-hook audit [--app <path>] [--json]
+       stockade-hook keys [--app <path>]
+
+Commands load the Sails app without lifting its HTTP server.
+
+  audit  Lists every action with its permission matcher and validation status. Exits with a
+         non-zero code if any action has no permission entry, or can't be served due to bad
+         configuration.
+  keys   Prints every i18n key which parameter validation may produce, mapped to its default
+         message, as JSON.
+
+Options:
+  --app <path>  Path of the app to load, defaulting to the working directory.
+  --json        Print the audit as JSON rather than as a table.`;
+
+const COMMANDS = ['audit', 'keys'];
+
+async function main(args) {
+  const command = args[0];
+  if (!COMMANDS.includes(command) || args.includes('--help') || args.includes('-h')) {
+    console.log(USAGE);
+    return COMMANDS.includes(command) ? 0 : 2;
+  }
+
+  const appIndex = args.indexOf('--app');
+  const appPath = (appIndex !== -1) ? args[appIndex + 1] : process.cwd();
+  if (!appPath) {
+    console.error('Expected a path to follow `--app`.');
+    return 2;
+  }
+
+  if (command === 'keys') {
+    const catalogue = await withLoadedApp(appPath, buildErrorCatalogue);
+    console.log(JSON.stringify(catalogue, null, 2));
+    return 0;
+  }
+
+  const entries = await auditApp(appPath);
+  console.log(args.includes('--json') ? JSON.stringify(entries, null, 2) : formatAuditTable(entries));
+  return hasFailingIssues(entries) ? 1 : 0;
+}
+
+// exit only once stdout has been flushed, as output piped elsewhere may otherwise be cut short
+const exit = code => process.stdout.write('', () => process.exit(code));
+
+main(process.argv.slice(2)).then(exit).catch(err => {
+  console.error('[stockade-hook] Failed loading the app:', err);
+  exit(2);
+});
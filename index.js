@@ -6,7 +6,13 @@ const SailsHookStockade = require('./lib/hook');
 
 // Helper functions.
 const loadProviders = require('./lib/helper/loadProviders');
+const { loadProvidersAsync } = require('./lib/helper/loadProviders');
+const buildErrorCatalogue = require('./lib/validations/errorCatalogue');
+const createJsonLinesSink = require('./lib/audit/jsonLinesSink');
 const declassify = require('./lib/helper/declassify');
+const fromModel = require('./lib/validations/fromModel');
+const generateOpenApi = require('./lib/openapi/generateOpenApi');
+const problemJson = require('./lib/helper/problemJson');
 
 // Exports.
 // Our main export is the hook itself so Sails will load things properly (run through the
@@ -15,4 +21,10 @@ const declassify = require('./lib/helper/declassify');
 module.exports = (sails) => declassify(new SailsHookStockade(sails));
 module.exports.Joi = Joi;
 module.exports.Permissions = Permissions;
+module.exports.fromModel = fromModel;
 module.exports.loadProviders = loadProviders;
+module.exports.loadProvidersAsync = loadProvidersAsync;
+module.exports.generateOpenApi = generateOpenApi;
+module.exports.buildErrorCatalogue = buildErrorCatalogue;
+module.exports.createJsonLinesSink = createJsonLinesSink;
+module.exports.problemJson = problemJson;
@@ -0,0 +1,89 @@
+
+// Classes and fat modules.
+const fs = require('fs');
+
+/**
+ * Names of all the audit events emitted on `sails` by the hook, without the `stockade:`
+ * prefix.
+ */
+const AUDIT_EVENTS = ['allowed', 'denied', 'paramsRejected', 'paramsDenied', 'rateLimited', 'actionError'];
+
+/**
+ * Converts the given error into a plain object which can be serialised to JSON. Values which
+ * aren't `Error` instances (such as Floatplane errors or plain explanations) are returned
+ * as-is.
+ */
+function serialiseError(err) {
+  if (!(err instanceof Error)) {
+    return err;
+  }
+  return Object.assign({ name: err.name, message: err.message, stack: err.stack }, err);
+}
+
+/**
+ * Creates an audit sink which appends every Stockade audit event emitted on the given app
+ * to a file, as one JSON object per line. Serves as a reference consumer of the events, and
+ * may be enabled through the `stockade.auditLog` setting rather than being created directly.
+ *
+ * @param {Object} sails - The Sails app whose audit events should be written.
+ * @param {string} filePath - Path of the file which events should be appended to.
+ * @param {Object} [options] - Extra options for the sink.
+ * @param {Function} [options.identify] - A function called with the request of each event,
+ * returning some value which identifies the requester (such as a user id). The result is
+ * written to the `identity` field of each line, left out where the function throws.
+ * @param {string[]} [options.events] - The names of the events which should be written, such
+ * as `['denied', 'paramsRejected']`. Defaults to all audit events.
+ *
+ * @returns {Object} The sink created, exposing a `close()` method which stops listening for
+ * events and closes the file.
+ */
+function createJsonLinesSink(sails, filePath, options) {
+  options = (options instanceof Object) ? options : {};
+
+  const stream = fs.createWriteStream(filePath, { flags: 'a' });
+  stream.on('error', err => sails.log.error('[sails-hook-stockade]', `Failed writing to audit log "${filePath}":`, err));
+
+  const events = Array.isArray(options.events) ? options.events : AUDIT_EVENTS;
+  const listeners = events.map(name => {
+    const listener = (event) => {
+      const req = event.req || {};
+      // a failure to identify the requester shouldn't cost us the line
+      let identity;
+      try {
+        identity = (typeof options.identify === 'function') ? options.identify(req) : undefined;
+      } catch (err) {
+        sails.log.error('[sails-hook-stockade]', `Failed identifying the requester for audit log "${filePath}":`, err);
+      }
+      const line = {
+        time: new Date().toISOString(),
+        event: event.event,
+        action: event.action,
+        requestId: event.requestId,
+        method: req.method,
+        url: req.url,
+        ip: req.ip,
+        identity,
+        matcher: event.matcher,
+        failedValidations: event.failedValidations,
+        thrownErrors: Array.isArray(event.thrownErrors) ? event.thrownErrors.map(serialiseError) : undefined,
+        error: serialiseError(event.error),
+        phase: event.phase,
+        reported: event.reported,
+        timings: event.timings,
+      };
+      stream.write(JSON.stringify(line) + '\n');
+    };
+    sails.on(`stockade:${name}`, listener);
+    return { name, listener };
+  });
+
+  return {
+    close() {
+      listeners.forEach(({ name, listener }) => sails.removeListener(`stockade:${name}`, listener));
+      stream.end();
+    },
+  };
+}
+
+module.exports = createJsonLinesSink;
+module.exports.AUDIT_EVENTS = AUDIT_EVENTS;
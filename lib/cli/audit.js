@@ -0,0 +1,131 @@
+
+// Helper functions.
+const resolveActionConfig = require('../helper/resolveActionConfig');
+const { summariseMatcher } = require('../helper/describeMatcher');
+const withLoadedApp = require('./loadApp');
+
+/**
+ * @typedef {Object} ActionAuditEntry - Describes the Stockade configuration of one action.
+ * @property {string} action - Identity of the action, such as 'user/getinfo'.
+ * @property {string} permissions - A summary of the permission matcher guarding the action,
+ * or `null` if it is unguarded.
+ * @property {string} source - Where the matcher was found, as per `matcherSource`.
+ * @property {boolean} validated - Whether the action has a parameter validation schema.
+ * @property {string} issue - The type of any issue found with the action config, being one
+ * of 'malformedAction', 'badConfig' or 'unguarded', otherwise `null`.
+ * @property {string} message - A description of any issue found.
+ */
+
+/**
+ * The issue types which fail an audit, as the actions affected either can't be served or are
+ * open to anyone. Unvalidated actions are listed, though don't fail the audit.
+ */
+const FAILING_ISSUES = ['unguarded', 'badConfig', 'malformedAction'];
+
+/**
+ * Returns whether the given action was registered by a hook rather than by the app itself,
+ * such as Sails' own `security/grant-csrf-token`. Hooks register their actions under their
+ * own identity, so these are the actions with no controller, definition or model of the app
+ * behind them, whose controller identity names a loaded hook.
+ *
+ * @param {Object} sails - The Sails app the action belongs to.
+ * @param {ResolvedActionConfig} actionConfig - The resolved configuration of the action.
+ *
+ * @returns {boolean}
+ */
+function isFrameworkAction(sails, actionConfig) {
+  if (actionConfig.blueprint || actionConfig.definition || actionConfig.controller
+    || (sails.controllers && sails.controllers[actionConfig.controllerIdent])) {
+    return false;
+  }
+  const hookIdentity = (actionConfig.path || '').split('/')[0];
+  return !!hookIdentity && (sails.hooks instanceof Object) && Object.prototype.hasOwnProperty.call(sails.hooks, hookIdentity);
+}
+
+/**
+ * Resolves the Stockade configuration of every action registered with the given Sails app,
+ * just as is done when a request is handled. Actions registered by hooks (as per
+ * `isFrameworkAction`) are left out, as the app has no say in how they're configured.
+ *
+ * @param {Object} sails - The loaded Sails app to audit.
+ *
+ * @returns {ActionAuditEntry[]} An entry per action, sorted by action identity.
+ */
+function auditActions(sails) {
+  return Object.keys(sails._actions || {})
+    .filter(identity => typeof sails._actions[identity] === 'function')
+    .sort()
+    .map(identity => ({ identity, actionConfig: resolveActionConfig(sails, sails._actions[identity], identity) }))
+    .filter(({ actionConfig }) => !isFrameworkAction(sails, actionConfig))
+    .map(({ identity, actionConfig }) => {
+      return {
+        action: identity,
+        permissions: actionConfig.matcher ? summariseMatcher(actionConfig.matcher) : null,
+        source: actionConfig.matcherSource || null,
+        validated: !!actionConfig.schema,
+        issue: actionConfig.issue ? actionConfig.issue.type : null,
+        message: actionConfig.issue ? actionConfig.issue.message : null,
+      };
+    });
+}
+
+/**
+ * Formats the given audit entries as a plain text table, followed by a summary line.
+ *
+ * @param {ActionAuditEntry[]} entries - The entries to format.
+ *
+ * @returns {string}
+ */
+function formatAuditTable(entries) {
+  const rows = entries.map(e => [
+    e.action,
+    e.permissions || ((e.issue === 'unguarded') ? 'UNGUARDED' : `ERROR (${e.issue})`),
+    e.source || '-',
+    e.validated ? 'yes' : 'no',
+  ]);
+  const header = ['ACTION', 'PERMISSIONS', 'SOURCE', 'VALIDATED'];
+  const widths = header.map((h, i) => Math.max(h.length, ...rows.map(r => r[i].length)));
+  const formatRow = row => row.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd();
+
+  const lines = [formatRow(header), formatRow(widths.map(w => '-'.repeat(w)))].concat(rows.map(formatRow));
+  // list out the reason for anything which can't actually be served
+  entries.filter(e => e.issue && (e.issue !== 'unguarded')).forEach(e => {
+    lines.push('', `${e.action}: ${e.message}`);
+  });
+
+  const count = issue => entries.filter(e => e.issue === issue).length;
+  lines.push('', `${entries.length} action(s): ${count('unguarded')} unguarded, ${entries.filter(e => !e.validated).length} unvalidated, ${count('badConfig') + count('malformedAction')} misconfigured.`);
+  return lines.join('\n');
+}
+
+/**
+ * Returns whether any of the given audit entries has an issue which should fail the audit, as
+ * listed by `FAILING_ISSUES`.
+ *
+ * @param {ActionAuditEntry[]} entries - The entries to check.
+ *
+ * @returns {boolean}
+ */
+function hasFailingIssues(entries) {
+  return entries.some(e => FAILING_ISSUES.includes(e.issue));
+}
+
+/**
+ * Loads the Sails app found at the given path, without lifting its HTTP server, and audits
+ * every action it registers.
+ *
+ * @param {string} appPath - Path of the app to audit.
+ *
+ * @returns {Promise<ActionAuditEntry[]>}
+ */
+function auditApp(appPath) {
+  return withLoadedApp(appPath, auditActions);
+}
+
+module.exports = {
+  auditActions,
+  auditApp,
+  formatAuditTable,
+  hasFailingIssues,
+  isFrameworkAction,
+};
@@ -0,0 +1,45 @@
+
+// Classes and fat modules.
+const path = require('path');
+
+/**
+ * Loads the Sails app found at the given path, without lifting its HTTP server, then calls
+ * the given function with it before lowering the app again. The app's own copy of Sails is
+ * used, with migrations disabled so no data is touched, and with `stockade.failOnUnguarded`
+ * turned off so unguarded actions can be reported on.
+ *
+ * @param {string} appPath - Path of the app to load.
+ * @param {Function} fn - Called with the loaded Sails app, possibly returning a promise.
+ *
+ * @returns {Promise} Resolves with the result of `fn`.
+ */
+async function withLoadedApp(appPath, fn) {
+  appPath = path.resolve(appPath);
+  let sailsPath;
+  try {
+    sailsPath = require.resolve('sails', { paths: [appPath] });
+  } catch (unusedErr) {
+    throw new Error(`Unable to find Sails installed for the app at "${appPath}". Ensure its dependencies have been installed.`);
+  }
+
+  const Sails = require(sailsPath).constructor;
+  const sails = new Sails();
+  await new Promise((resolve, reject) => {
+    sails.load({
+      appPath,
+      log: { level: 'error' },
+      models: { migrate: 'safe' },
+      // report unguarded actions rather than failing to load
+      stockade: { failOnUnguarded: false },
+      hooks: { grunt: false },
+    }, err => (err ? reject(err) : resolve()));
+  });
+
+  try {
+    return await fn(sails);
+  } finally {
+    await new Promise(resolve => sails.lower(() => resolve()));
+  }
+}
+
+module.exports = withLoadedApp;
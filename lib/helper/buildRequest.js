@@ -0,0 +1,35 @@
+
+/**
+ * Builds a fake request for simulating how the hook would handle a request, without one
+ * actually being sent.
+ *
+ * @param {Object} sails - The Sails app the request is made to.
+ * @param {Object} [options] - Describes the request, as per the identically named argument of
+ * `testAction(...)`: `params`, `routeParams`, `query`, `body`, `headers`, `cookies`, `session`,
+ * `user` and any other `req` fields.
+ *
+ * @returns {SailsRequest}
+ */
+function buildRequest(sails, options) {
+  options = (options instanceof Object) ? options : {};
+  const allParams = Object.assign({}, options.body, options.query, options.routeParams, options.params);
+  return Object.assign({
+    _sails: sails,
+    method: 'POST',
+    url: '/',
+    ip: '127.0.0.1',
+    options: {},
+    params: Object.assign({}, options.routeParams),
+    query: Object.assign({}, options.query),
+    body: Object.assign({}, options.body),
+    headers: Object.assign({}, options.headers),
+    cookies: Object.assign({}, options.cookies),
+    session: Object.assign({}, options.session),
+    user: options.user,
+    me: options.user,
+    allParams: () => Object.assign({}, allParams),
+    param: (name) => allParams[name],
+  }, options.req);
+}
+
+module.exports = buildRequest;
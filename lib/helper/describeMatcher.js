@@ -0,0 +1,70 @@
+
+/**
+ * Builds a plain, JSON-friendly description of the given Stockade matcher, as returned from
+ * `Permissions.for(...)`, `Permissions.allOf(...)`, `Permissions.anyOf(...)` or
+ * `Permissions.none()`.
+ *
+ * @param {Object} matcher - The matcher which should be described.
+ *
+ * @returns {Object} A description of the matcher, or `null` if no matcher was given. Simple
+ * matchers are described as `{ namespace, scheme, method, target, params }`, while compound
+ * matchers are described as `{ method, target }` with each target described in turn.
+ */
+function describeMatcher(matcher) {
+  if (!matcher || (typeof matcher !== 'object')) {
+    return null;
+  }
+
+  // a simple matcher, as returned from `Permissions.for(...)`
+  if (typeof matcher.compile === 'function') {
+    const compiled = matcher.compile();
+    return {
+      namespace: compiled.namespace,
+      scheme: compiled.scheme,
+      method: compiled.method,
+      target: compiled.target,
+      params: compiled.params,
+    };
+  }
+
+  // a NOP matcher, as returned from `Permissions.none()`
+  if (matcher.method === 'NOP') {
+    return { method: 'NOP' };
+  }
+
+  // otherwise we've a compound matcher, so describe each of its targets
+  return {
+    method: matcher.method,
+    target: Array.isArray(matcher.target) ? matcher.target.map(describeMatcher) : [],
+  };
+}
+
+/**
+ * Builds a short, human-readable summary of the given Stockade matcher, such as
+ * `user:allOf(isLoggedIn, isAdmin)` or `anyOf(user:all, moderation:any(...))`.
+ *
+ * @param {Object} matcher - The matcher which should be summarised.
+ *
+ * @returns {string} The summary built, or an empty string if no matcher was given.
+ */
+function summariseMatcher(matcher) {
+  const summarise = (desc) => {
+    if (!desc) {
+      return '';
+    }
+    if (desc.method === 'NOP') {
+      return 'none';
+    }
+    if (typeof desc.scheme === 'string') {
+      const prefix = ((desc.namespace && (desc.namespace !== 'global')) ? desc.namespace + ':' : '') + desc.scheme;
+      return Array.isArray(desc.target)
+        ? `${prefix}:${desc.method}(${desc.target.join(', ')})`
+        : `${prefix}:${desc.method}`;
+    }
+    return `${desc.method}(${desc.target.map(summarise).join(', ')})`;
+  };
+  return summarise(describeMatcher(matcher));
+}
+
+module.exports = describeMatcher;
+module.exports.summariseMatcher = summariseMatcher;
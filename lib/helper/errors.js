@@ -1,14 +1,134 @@
 
 /**
- * @todo Provide a simple error service wrapper alongside this, so consumers can transparently
- * use what may or may not be the Floatplane Errors hook (when the errors hook isn't installed
- * we can simply emulate basic functionality for it here).
+ * Default messages used by the built-in error service, for errors created without any
+ * message of their own.
  */
+const DEFAULT_MESSAGES = {
+  errorGroup: 'Multiple errors have occurred.',
+  unknownError: 'An unknown error has occurred.',
+  paramValidationError: 'A request parameter failed validation.',
+  paramPermissionError: 'You are not permitted to set a request parameter.',
+  notLoggedInError: 'You must be logged in to perform this action.',
+  malformedAction: 'Malformed action received!',
+  badConfig: 'Invalid configuration has caused the request to be unhandleable.',
+  rateLimitedError: 'Too many requests have been made. Please try again later.',
+};
+
+/**
+ * A plain error as created by the built-in error service. Serialises to JSON as
+ * `{ name, message, key, data }`, with `key` present only where it differs from the message
+ * and `data` present only where some was given.
+ */
+class StockadeError {
+  constructor(name, key, status, data) {
+    this.name = name || 'unknownError';
+    this.key = key;
+    this.status = status;
+    this.data = data;
+    // Pick the most descriptive message we can: any explanation given as a plain string, then any
+    // key which reads as a message rather than an i18n key, then the default for this error name.
+    const isKeyMessage = (typeof key === 'string') && !/^[\w.-]+$/.test(key);
+    this.message = ((typeof data === 'string') ? data : undefined)
+      || (isKeyMessage ? key : undefined)
+      || DEFAULT_MESSAGES[this.name]
+      || key
+      || DEFAULT_MESSAGES.unknownError;
+  }
+
+  /**
+   * Sets the message of this error, returning the error itself for chaining.
+   *
+   * @param {string} message - The message to use.
+   */
+  defaultMessage(message) {
+    if (typeof message === 'string') {
+      this.message = message;
+    }
+    return this;
+  }
+
+  toJSON() {
+    const out = {
+      name: this.name,
+      message: this.message,
+    };
+    if ((typeof this.key !== 'undefined') && (this.key !== this.message)) {
+      out.key = this.key;
+    }
+    if ((typeof this.data !== 'undefined') && (this.data !== this.message)) {
+      out.data = this.data;
+    }
+    return out;
+  }
+}
+
+/**
+ * A group of errors as created by the built-in error service. Serialises to JSON as
+ * `{ name, message, errors }`, where `errors` holds each grouped error.
+ */
+class StockadeErrorGroup extends StockadeError {
+  constructor(name, key, errors) {
+    super(name || 'errorGroup', key);
+    this.errors = Array.isArray(errors) ? errors : [];
+  }
+
+  toJSON() {
+    return Object.assign(super.toJSON(), {
+      errors: this.errors.map(e => ((e instanceof Object) && (typeof e.toJSON === 'function')) ? e.toJSON() : e),
+    });
+  }
+}
+
+/**
+ * A built-in stand-in for the Floatplane Errors hook service, implementing just the parts of
+ * its interface used by stockade-hook. Used whenever the Floatplane Errors hook isn't present,
+ * so that every error response sent by the hook has the same JSON shape.
+ */
+const BuiltinErrorService = {
+
+  /**
+   * Creates a new error.
+   *
+   * @param {string} name - Name of the error, such as 'paramValidationError'.
+   * @param {string} [key] - The i18n key or message of the error.
+   * @param {number} [status] - A status code fitting for the error.
+   * @param {*} [data] - Any extra data to attach to the error.
+   */
+  createError(name, key, status, data) {
+    return new StockadeError(name, key, status, data);
+  },
+
+  /**
+   * Groups the given errors. May be called either as `groupErrors(name, key, errors)` or
+   * simply `groupErrors(errors)`.
+   */
+  groupErrors(name, key, errors) {
+    if (Array.isArray(name)) {
+      return new StockadeErrorGroup(undefined, undefined, name);
+    }
+    return new StockadeErrorGroup(name, key, errors);
+  },
+
+  /**
+   * Returns whether the given value is a single error created by this service.
+   */
+  isError(err) {
+    return (err instanceof StockadeError) && !(err instanceof StockadeErrorGroup);
+  },
+
+  /**
+   * Returns whether the given value is an error group created by this service.
+   */
+  isErrorGroup(err) {
+    return err instanceof StockadeErrorGroup;
+  },
+
+};
 
 /**
  * Used to hold any error service object found to match the appropriate interface expected
  * from the Floatplane Errors hook. A small optimisation used to avoid repeated checks for
- * validity.
+ * validity, which are made afresh only should the global service be replaced.
  */
 let cacheErrorService = null;
 
@@ -16,14 +136,14 @@ let cacheErrorService = null;
  * Attempts to fetch something which at least looks like the Floatplane error hook service.
  * If an appropriate service is found, it will be returned, else `null`.
  */
-function getErrorService() {
-  // If we're sure there's a proper error service already, simply return that.
-  if (cacheErrorService) {
+function tryGetErrorService() {
+  // Try and fetch our global error service.
+  const ErrorService = global.ErrorService;
+  // If we're sure it's a proper error service already, simply return that.
+  if (cacheErrorService && (cacheErrorService === ErrorService)) {
     return cacheErrorService;
   }
 
-  // Try and fetch our global error service.
-  const ErrorService = global.ErrorService;
   // Ensure the fetched error service matches the expected service interface, returning `null` if not.
   if (
     !(ErrorService instanceof Object)
@@ -38,6 +158,39 @@ function getErrorService() {
   return ErrorService;
 }
 
+/**
+ * Returns the Floatplane error hook service if present, or the built-in error service
+ * otherwise.
+ */
+function getErrorService() {
+  return tryGetErrorService() || BuiltinErrorService;
+}
+
+/**
+ * Describes each parameter validation error held by the given error (or error group) in the
+ * same way as Joi error details: `{ message, path, type }`, along with any i18n `key`.
+ */
+function describeParamErrors(err) {
+  if (!(err instanceof Object)) {
+    return [];
+  }
+  // We've a raw Joi validation error, so use its details directly.
+  if (Array.isArray(err.details)) {
+    return err.details;
+  }
+  const errors = Array.isArray(err.errors) ? err.errors : [err];
+  return errors.map(e => ({
+    message: e.message,
+    path: (e.data instanceof Object) && Array.isArray(e.data.path) ? e.data.path : [],
+    type: (e.data instanceof Object) ? e.data.rule : undefined,
+    key: e.key,
+  }));
+}
+
 module.exports = {
-  tryGetErrorService: getErrorService,
+  describeParamErrors,
+  tryGetErrorService,
+  getErrorService,
+  BuiltinErrorService,
+  DEFAULT_MESSAGES,
 };
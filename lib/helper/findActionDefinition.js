@@ -0,0 +1,114 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Used to cache the definitions found for each action, keyed by the action function and then
+ * by action path (as one function may be registered under several identities). Actions live
+ * as long as the app, while those registered afresh (such as after a reload) simply miss the
+ * cache.
+ */
+const definitionCache = new WeakMap();
+
+/**
+ * Returns whether the given value looks like an actions2 (machine-style) action definition,
+ * being an object holding an `fn` implementation or an `inputs` object.
+ */
+function isActionDefinition(value) {
+  return (value instanceof Object) && (typeof value !== 'function')
+    && ((typeof value.fn === 'function') || (value.inputs instanceof Object));
+}
+
+/**
+ * Finds the actions2 (machine-style) definition a Sails action was built from, such as the
+ * export of a standalone `api/controllers/user/get-info.js` file. Sails replaces such
+ * definitions with a request handler when registering them, so the definition is found either
+ * through the `toJSON()` method of that handler where it has one, or by looking up the file
+ * matching the action identity within the `paths.controllers` directory of the app (just as
+ * Sails did, ignoring case).
+ *
+ * @param {Object} sails - The Sails app which the action belongs to.
+ * @param {Function} action - The action to find the definition of (either the original or one
+ * already patched by the hook).
+ * @param {string} actionPath - Full path of the action '/'-delimited, such as 'user/get-info'.
+ *
+ * @returns {Object|null} The definition, or `null` if the action wasn't built from one.
+ *
+ * @throws {Error} An error if the definition file exists but fails to load, or the `toJSON()`
+ * method of the handler throws.
+ */
+function findActionDefinition(sails, action, actionPath) {
+  const cached = definitionCache.get(action) || new Map();
+  if (cached.has(actionPath)) {
+    return cached.get(actionPath);
+  }
+
+  // look for the file first, as any `toJSON()` may well leave out the keys we're after
+  let definition = findDefinitionFile(sails, actionPath);
+  if (!definition && (typeof action.toJSON === 'function')) {
+    definition = action.toJSON();
+  }
+  definition = isActionDefinition(definition) ? definition : null;
+
+  definitionCache.set(action, cached.set(actionPath, definition));
+  return definition;
+}
+
+/**
+ * Loads the export of the standalone action file matching the given action path, if one
+ * exists within the controllers directory of the app. Sails lowercases action identities, so
+ * each path component is matched against the directory entries ignoring case.
+ *
+ * @throws {Error} An error if the file exists but fails to load.
+ */
+function findDefinitionFile(sails, actionPath) {
+  const paths = (sails && (sails.config instanceof Object) && (sails.config.paths instanceof Object)) ? sails.config.paths : {};
+  const controllersPath = paths.controllers;
+  if (typeof controllersPath !== 'string') {
+    return null;
+  }
+
+  const components = actionPath.split('/');
+  let current = controllersPath;
+  for (let i = 0; i < components.length; i++) {
+    const component = components[i].toLowerCase();
+    const isLast = (i === components.length - 1);
+    const entry = readDirectory(current).find(name => (isLast
+      ? (path.extname(name).toLowerCase() === '.js') && (path.basename(name, path.extname(name)).toLowerCase() === component)
+      : (name.toLowerCase() === component)));
+    if (!entry) {
+      return null;
+    }
+    current = path.join(current, entry);
+  }
+
+  try {
+    return require(current);
+  } catch (err) {
+    // a file which vanished since being listed just means there's no definition to be found, though anything wrong
+    // with the file itself (including some dependency it can't find) should be heard about
+    if ((err.code === 'MODULE_NOT_FOUND') && !fs.existsSync(current)) {
+      return null;
+    }
+    throw err;
+  }
+}
+
+/**
+ * Lists the entries of the given directory, or none where it doesn't exist (or isn't a
+ * directory at all).
+ *
+ * @throws {Error} An error if the directory exists but can't be read.
+ */
+function readDirectory(dirPath) {
+  try {
+    return fs.readdirSync(dirPath);
+  } catch (err) {
+    if ((err.code === 'ENOENT') || (err.code === 'ENOTDIR')) {
+      return [];
+    }
+    throw err;
+  }
+}
+
+module.exports = findActionDefinition;
+module.exports.isActionDefinition = isActionDefinition;
@@ -1,19 +1,201 @@
-
 const fs = require('fs');
 const path = require('path');
+const Permissions = require('stockade');
+
+/**
+ * Loads every permission provider definition file found in the given directory, registering
+ * them synchronously so providers are ready as soon as this returns. Each file should export
+ * an object with either:
+ *
+ * - a `register(context)` function, which registers its providers itself; or
+ * - a `provider` object, which will be registered under the name and namespace given by
+ * the `name` and `namespace` fields of the export, or by the file location otherwise.
+ *
+ * The `context` given to `register(...)` is of form `{ name, namespace, file }`, where `name`
+ * is the file name without extension, and `namespace` is the path of the containing directory
+ * relative to `pathName` ('/'-delimited, and `undefined` for the top level). Where any
+ * `register(...)` returns a promise, use `loadProvidersAsync(...)` instead. Providers are
+ * noted as belonging to a file only where registered through the same installation of
+ * Stockade as this hook uses.
+ *
+ * @param {string} pathName - Path of the directory to load providers from.
+ * @param {Object} [options] - Extra loading options.
+ * @param {boolean} [options.recursive] - Whether subdirectories should be loaded too, with
+ * providers namespaced by their directory. Defaults to `false`.
+ * @param {boolean} [options.watch] - Whether provider files should be watched, so changed
+ * files are re-registered without a restart. Meant for development only. Defaults to `false`.
+ * @param {Object} [options.log] - Logger used to report reloads, defaulting to `console`.
+ *
+ * @returns {Object} An object of form `{ providers, reload(file), close() }`. The `providers`
+ * list holds a `{ file, name, namespace }` entry for every provider registered, `reload(...)`
+ * re-registers the providers of the given file and `close()` stops any file watchers.
+ *
+ * @throws {Error} An error if any file is invalid or fails to register, including where
+ * `register(...)` returns a promise.
+ */
+function loadProviders(pathName, options) {
+  const loader = createLoader(pathName, options, false);
+  loader.files.forEach(file => loader.registerFile(file));
+  return loader.start();
+}
+
+/**
+ * Loads every permission provider definition file found in the given directory, just as
+ * `loadProviders(...)` does, though awaiting any promise returned by `register(...)` before
+ * the next file is loaded. Useful where registration is asynchronous, such as to load role
+ * tables first.
+ *
+ * @param {string} pathName - Path of the directory to load providers from.
+ * @param {Object} [options] - Extra loading options, as for `loadProviders(...)`.
+ *
+ * @returns {Promise<Object>} Resolves once every provider has been registered, with an object
+ * of form `{ providers, reload(file), close() }` as for `loadProviders(...)`, where
+ * `reload(...)` returns a promise.
+ */
+async function loadProvidersAsync(pathName, options) {
+  const loader = createLoader(pathName, options, true);
+  for (const file of loader.files) {
+    await loader.registerFile(file);
+  }
+  return loader.start();
+}
+
+/**
+ * Creates the state shared by both loaders: the files to load, a function registering a
+ * single file, and a `start()` function setting up any watchers and returning the handle.
+ *
+ * @param {string} pathName - Path of the directory to load providers from.
+ * @param {Object} [options] - Extra loading options, as for `loadProviders(...)`.
+ * @param {boolean} allowAsync - Whether `register(...)` may return a promise, in which case
+ * `registerFile(...)` returns a promise too.
+ */
+function createLoader(pathName, options, allowAsync) {
+  options = (options instanceof Object) ? options : {};
+  const log = options.log || console;
 
-module.exports = function loadProviders(pathName) {
-  // Fetch a list of all files inside the requested directory.
-  const entries = fs.readdirSync(pathName)
-    // Filter out the file list to only `.js` files, so we don't try and load some .DS_STORE, etc.
-    .filter(fileName => path.extname(fileName).toLowerCase() === '.js');
+  // Providers registered by each file, keyed by absolute file path.
+  const fileProviders = new Map();
 
-  entries.forEach(entry => {
-    const def = require(path.join(pathName, entry));
-    if (!(def instanceof Object) || (typeof def.register !== 'function')) {
-      throw new Error(`Expected permission definition file "${entry}" to be an object with function #register(...), but instead found: ${JSON.stringify(def)}.`);
+  // Fetch a list of all `.js` files inside the requested directory (and its subdirectories, if recursive).
+  const dirs = [];
+  const collect = (dir) => {
+    dirs.push(dir);
+    return fs.readdirSync(dir, { withFileTypes: true }).reduce((acc, entry) => {
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        return options.recursive ? acc.concat(collect(entryPath)) : acc;
+      }
+      // Filter out the file list to only `.js` files, so we don't try and load some .DS_STORE, etc.
+      return (path.extname(entry.name).toLowerCase() === '.js') ? acc.concat(entryPath) : acc;
+    }, []);
+  };
+  const files = collect(pathName);
+
+  // Registers the providers defined by a single file, taking note of exactly which it has registered.
+  const registerFile = (file) => {
+    const relativeName = path.relative(pathName, file);
+    const relativeDir = path.relative(pathName, path.dirname(file)).split(path.sep).join('/');
+    const context = {
+      name: path.basename(file, path.extname(file)),
+      namespace: relativeDir || undefined,
+      file,
+    };
+
+    const def = require(file);
+    if (!(def instanceof Object) || ((typeof def.register !== 'function') && !(def.provider instanceof Object))) {
+      throw new Error(`Expected permission definition file "${relativeName}" to be an object with function #register(...) or object \`provider\`, but instead found: ${JSON.stringify(def)}.`);
     }
-    return def.register();
-  });
-};
 
+    // Note exactly which providers the file registers, by listening in on Stockade while it does so.
+    // (Stockade is looked up afresh, as Sails clears the require cache of modules its app files require,
+    // leaving any file loaded since with a newer copy of the module than the one we started out with)
+    const Stockade = require('stockade');
+    const providers = [];
+    const register = Stockade.register;
+    Stockade.register = (provider, name, namespace) => {
+      register.call(Stockade, provider, name, namespace);
+      providers.push({ name, namespace: ((typeof namespace === 'string') && namespace) ? namespace : 'global' });
+    };
+    const restore = () => {
+      Stockade.register = register;
+    };
+    const finish = () => {
+      restore();
+      fileProviders.set(file, providers);
+    };
+    // Point at the offending file, as Stockade's own errors (such as for duplicate names) won't.
+    const fail = (err) => {
+      restore();
+      err.message = `Failed registering permission definition file "${relativeName}": ${err.message}`;
+      throw err;
+    };
+
+    let result;
+    try {
+      if (typeof def.register === 'function') {
+        result = def.register(context);
+      } else {
+        Stockade.register(def.provider, def.name || context.name, def.namespace || context.namespace);
+      }
+    } catch (err) {
+      fail(err);
+    }
+    if (result && (typeof result.then === 'function')) {
+      if (!allowAsync) {
+        restore();
+        // (the file is rejected either way, so don't leave any rejection of its own unhandled)
+        result.then(undefined, () => {});
+        throw new Error(`Permission definition file "${relativeName}" returned a promise from #register(...), so must be loaded through \`loadProvidersAsync(...)\` instead.`);
+      }
+      return result.then(finish, fail);
+    }
+    finish();
+  };
+
+  // Re-registers the providers of the given file, unregistering any it had previously registered.
+  const reload = (file) => {
+    (fileProviders.get(file) || []).forEach(p => Permissions.unregister(p.name, p.namespace));
+    fileProviders.delete(file);
+    delete require.cache[require.resolve(file)];
+    return registerFile(file);
+  };
+
+  // Setup our watchers, if wanted, debouncing as editors tend to write files more than once.
+  const start = () => {
+    const watchers = [];
+    if (options.watch) {
+      const timers = new Map();
+      dirs.forEach(dir => {
+        watchers.push(fs.watch(dir, (eventType, fileName) => {
+          const file = fileName && path.join(dir, fileName.toString());
+          if (!file || (path.extname(file).toLowerCase() !== '.js') || !fs.existsSync(file)) {
+            return;
+          }
+          clearTimeout(timers.get(file));
+          timers.set(file, setTimeout(() => {
+            Promise.resolve().then(() => reload(file)).then(() => {
+              log.info('[sails-hook-stockade]', `Reloaded permission definition file "${path.relative(pathName, file)}".`);
+            }).catch(err => {
+              log.error('[sails-hook-stockade]', `Failed reloading permission definition file "${path.relative(pathName, file)}":`, err);
+            });
+          }, 100));
+        }));
+      });
+    }
+
+    return {
+      get providers() {
+        return [].concat(...Array.from(fileProviders.entries()).map(([file, providers]) => providers.map(p => Object.assign({ file }, p))));
+      },
+      reload,
+      close() {
+        watchers.forEach(w => w.close());
+      },
+    };
+  };
+
+  return { files, registerFile, start };
+}
+
+module.exports = loadProviders;
+module.exports.loadProvidersAsync = loadProvidersAsync;
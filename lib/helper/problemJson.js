@@ -0,0 +1,83 @@
+
+/**
+ * Titles used for each failure type, as per the matching HTTP status.
+ */
+const TITLES = {
+  forbidden: 'Forbidden',
+  badRequest: 'Bad Request',
+  tooManyRequests: 'Too Many Requests',
+};
+
+/**
+ * @typedef {Object} StockadeFailure - Describes a request rejected by the hook, as given to
+ * any `formatError` function.
+ * @property {string} type - One of 'forbidden' (the request failed permission validation),
+ * 'badRequest' (the request parameters failed validation) or 'tooManyRequests' (the request
+ * exceeded the rate limit of the action).
+ * @property {number} status - The status code the response will be sent with.
+ * @property {string} action - Full path of the action requested, '/'-delimited.
+ * @property {*} error - The payload which would be sent without any formatter, as wrapped
+ * according to the `wrapErrors` setting.
+ * @property {Array} explanations - The explanations of any failed permission validations.
+ * @property {Object[]} details - Each rejected parameter, described as Joi error details of
+ * form `{ message, path, type, key }`.
+ */
+
+/**
+ * Formats a rejected request as an RFC 7807 `application/problem+json` document, of form
+ * `{ type, title, status, detail, instance }`. Rejected parameters are listed within an
+ * `invalid-params` member as `{ name, reason, rule }` entries, while the explanations of
+ * failed permission validations are listed within a `reasons` member.
+ *
+ * @param {StockadeFailure} failure - The failure to format.
+ * @param {SailsRequest} req - The rejected request.
+ * @param {SailsResponse} res - The response to be sent, which has its content type set.
+ *
+ * @returns {Object} The problem document.
+ */
+function problemJson(failure, req, res) {
+  if (res && (typeof res.type === 'function')) {
+    res.type('application/problem+json');
+  }
+
+  const problem = {
+    type: 'about:blank',
+    title: TITLES[failure.type] || 'Error',
+    status: failure.status,
+  };
+  if (req && (typeof req.url === 'string')) {
+    problem.instance = req.url;
+  }
+
+  if (failure.type === 'badRequest') {
+    const details = failure.details || [];
+    problem.detail = (details.length === 1) ? details[0].message : 'The request parameters failed validation.';
+    problem['invalid-params'] = details.map(d => ({
+      name: formatPath(d.path),
+      reason: d.message,
+      rule: d.type,
+    }));
+  } else if (failure.type === 'tooManyRequests') {
+    problem.detail = 'Too many requests have been made. Please try again later.';
+  } else {
+    const reasons = (failure.explanations || []).map(e => (
+      (typeof e === 'string') ? e : ((e instanceof Object) && (typeof e.message === 'string') ? e.message : String(e))
+    ));
+    problem.detail = (reasons.length === 1) ? reasons[0] : 'You are not permitted to perform this action.';
+    problem.reasons = reasons;
+  }
+
+  return problem;
+}
+
+/**
+ * Formats a parameter path array (such as `['links', 0, 'url']`) as a single name (such as
+ * `links[0].url`).
+ */
+function formatPath(path) {
+  return (Array.isArray(path) ? path : []).reduce((acc, p) => (
+    (typeof p === 'number') ? `${acc}[${p}]` : (acc ? `${acc}.${p}` : String(p))
+  ), '');
+}
+
+module.exports = problemJson;
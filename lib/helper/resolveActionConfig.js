@@ -0,0 +1,368 @@
+
+// Helper functions.
+const findActionDefinition = require('./findActionDefinition');
+const fromInputs = require('../validations/fromInputs');
+const { resolveModelSchemas } = require('../validations/fromModel');
+const { extractSubschema, isPermissionSchema } = require('../validations/requestParamValidator');
+const { describeRuleIssue } = require('../rateLimits/checkRateLimit');
+
+/**
+ * @typedef {Object} ActionConfigIssue - Describes why an action's Stockade configuration
+ * could not be fully resolved.
+ * @property {string} type - One of 'malformedAction' (the action has a missing or badly
+ * formatted `_middlewareType`), 'badConfig' (the owning controller config could not be
+ * found or is invalid) or 'unguarded' (no permission matcher exists for the action).
+ * @property {string} level - The log level fitting for the issue, either 'warn' or 'error'.
+ * @property {string} message - A human-readable description of the issue.
+ */
+
+/**
+ * @typedef {Object} ResolvedActionConfig - The Stockade configuration resolved for an action.
+ * @property {string} path - Full path of the action '/'-delimited.
+ * @property {string} controllerIdent - Identity of the owning controller.
+ * @property {string} name - Name of the action as cased within its controller.
+ * @property {Object} controller - The natural controller config, if any.
+ * @property {Object} marlinConfig - The marlin `_config` object, or an empty object if none.
+ * @property {Object} definition - The actions2 (machine-style) definition the action was built
+ * from, if any. Its own `permissions`, `validations`, `responses`, `mode`, `phaseOrder`,
+ * `rateLimit` and `paramPermissions` take precedence over those of any controller config.
+ * @property {Object} matcher - The Stockade matcher guarding the action, if any.
+ * @property {string} matcherSource - Where the matcher was found, if anywhere: 'action' for
+ * an entry named after the action, 'blueprint' for a blueprint config entry (see
+ * `blueprint`), 'definition' for the `permissions` of an actions2 definition (see
+ * `definition`), 'controller' for the controller `'*'` default entry, or 'global' for an entry
+ * of the `stockade.permissions` config matching the action path.
+ * @property {Object} schema - The parameter validation schema for the action, if any. Built
+ * from the `inputs` of an actions2 definition where no schema is otherwise given, if either
+ * the definition or the `stockade.validateInputs` setting asks for it (see
+ * `validateInputs`). May
+ * choose between schemas by the outcome of permission validation, through a `byPermission`
+ * entry (see `selectPermissionSchema(...)`).
+ * @property {Object} responseSchemas - The response validation schemas for the action keyed
+ * by status code, if any.
+ * @property {string} mode - The enforcement mode set for the action in `_config.modes`, if
+ * any, either 'enforce' or 'report'.
+ * @property {string} phaseOrder - The phase order set for the action in `_config.phaseOrders`,
+ * if any, either 'paramsFirst' or 'permissionsFirst'. Set to 'permissionsFirst' where the
+ * schema is chosen by permission outcome, unless the action says otherwise.
+ * @property {Object} rateLimit - The rate limit rule set for the action in `_config.rateLimits`,
+ * if any.
+ * @property {Object} paramPermissions - The matchers set for individual parameters of the
+ * action in `_config.paramPermissions` keyed by parameter name, if any. Each is normalised
+ * to an object of form `{ matcher, onDenied }`, with `onDenied` unset unless given.
+ * @property {Object} blueprint - Set for the blueprint actions of models, such as `user/find`,
+ * as `{ model, verb }` where `verb` is either 'read' or 'write'. Otherwise `null`.
+ * @property {ActionConfigIssue} issue - Set when the configuration could not be resolved in
+ * full, otherwise `null`.
+ */
+
+/**
+ * The blueprint actions Sails may create for each model, keyed by action path name, with the
+ * cased name of each and the verb it falls under for default permissions.
+ */
+const BLUEPRINT_ACTIONS = {
+  find: { name: 'find', verb: 'read' },
+  findone: { name: 'findOne', verb: 'read' },
+  populate: { name: 'populate', verb: 'read' },
+  create: { name: 'create', verb: 'write' },
+  update: { name: 'update', verb: 'write' },
+  destroy: { name: 'destroy', verb: 'write' },
+  add: { name: 'add', verb: 'write' },
+  remove: { name: 'remove', verb: 'write' },
+  replace: { name: 'replace', verb: 'write' },
+};
+
+/**
+ * The orders in which the parameter validation and permission phases of a request may run.
+ */
+const PHASE_ORDERS = ['paramsFirst', 'permissionsFirst'];
+
+/**
+ * Used to cache the regular expressions built from action path globs.
+ */
+const globCache = new Map();
+
+/**
+ * Converts the given action path glob into a case-insensitive regular expression. Within a
+ * glob, `**` matches any number of path segments, while `*` matches anything within just one
+ * segment. For example, `admin/**` matches every action under the admin controllers, while
+ * `user/get*` matches every action of the user controller starting with "get".
+ *
+ * @param {string} glob - The glob to convert.
+ *
+ * @returns {RegExp}
+ */
+function globToRegExp(glob) {
+  if (globCache.has(glob)) {
+    return globCache.get(glob);
+  }
+  const source = glob.split('**')
+    .map(part => part.split('*').map(p => p.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^/]*'))
+    .join('.*');
+  const regex = new RegExp(`^${source}$`, 'i');
+  globCache.set(glob, regex);
+  return regex;
+}
+
+/**
+ * Returns whether the given value is a Stockade matcher, as returned from
+ * `Permissions.for(...)`, `Permissions.allOf(...)`, `Permissions.anyOf(...)` or
+ * `Permissions.none()`.
+ */
+function isMatcher(value) {
+  return (value instanceof Object) && ((typeof value.compile === 'function') || (typeof value.method === 'string'));
+}
+
+/**
+ * Resolves the merged natural and marlin Stockade configuration for the given Sails action.
+ * The given action may be either the original action or one already patched by the hook.
+ *
+ * Actions are identified by the identity they're registered under within `sails._actions`
+ * (such as 'user/getinfo'), as Sails shares a single function between the blueprint actions
+ * of every model, with a `_middlewareType` of just `'BLUEPRINT: <action>'`. Only where no
+ * identity is given is the action path taken from an `'ACTION: <path>'` `_middlewareType`.
+ *
+ * Resolution never throws for a badly configured action. Rather, any problem found will be
+ * described by the `issue` field of the result, allowing callers to decide whether to
+ * respond to a request or simply report on it.
+ *
+ * @param {Object} sails - The Sails app which the action belongs to.
+ * @param {Function} action - The action which should have its configuration resolved.
+ * @param {string} [identity] - The identity the action is registered under.
+ *
+ * @returns {ResolvedActionConfig}
+ */
+function resolveActionConfig(sails, action, identity) {
+  const out = {
+    path: null,
+    controllerIdent: null,
+    name: null,
+    controller: undefined,
+    marlinConfig: {},
+    definition: null,
+    matcher: undefined,
+    matcherSource: undefined,
+    schema: undefined,
+    responseSchemas: undefined,
+    mode: undefined,
+    phaseOrder: undefined,
+    rateLimit: undefined,
+    paramPermissions: undefined,
+    blueprint: null,
+    issue: null,
+  };
+
+  // Helper used to attach an issue to our output and return it.
+  const fail = (type, level, message) => {
+    out.issue = { type, level, message };
+    return out;
+  };
+
+  const middlewareType = (typeof action._middlewareType === 'string') ? action._middlewareType : '';
+  if (typeof identity === 'string') {
+    // grab the complete action path from the identity it's registered under
+    out.path = identity.toLowerCase();
+  } else if (middlewareType.startsWith('ACTION:')) {
+    // or else from the action itself
+    out.path = middlewareType.substr('ACTION:'.length).trim();
+  } else {
+    // without either, there's something goofed up about this action..
+    return fail('malformedAction', 'warn', `Expected the action \`_middlewareType\` to be a string starting with "ACTION:", but instead found: (${typeof action._middlewareType}) ${action._middlewareType}`);
+  }
+
+  // break that path into separate components
+  const components = out.path.split('/');
+  // extract the action controller path (all but the last component, joined by '/')
+  out.controllerIdent = components.filter((v, i, a) => i !== a.length - 1).join('/');
+  // extract the action name itself within the owning controller (just the last component)
+  const actionName = components.pop();
+  // get the cased name.. (minding any '_patch' suffix)
+  // (the request handlers Sails builds from actions2 definitions aren't named after the action, so fall back on the path for those)
+  const casedName = action.name.substr(0, actionName.length);
+  out.name = (casedName.toLowerCase() === actionName.toLowerCase()) ? casedName : actionName;
+
+  // blueprint actions are named after their blueprint, with the controller path being the model identity
+  // (only those Sails itself registered as blueprints count, so a hand-written `user/find` action is left as-is)
+  const model = (sails && (sails.models instanceof Object)) ? sails.models[out.controllerIdent] : undefined;
+  if (middlewareType.startsWith('BLUEPRINT:') && (model instanceof Object) && BLUEPRINT_ACTIONS[actionName.toLowerCase()]) {
+    out.name = BLUEPRINT_ACTIONS[actionName.toLowerCase()].name;
+    out.blueprint = { model: out.controllerIdent, verb: BLUEPRINT_ACTIONS[actionName.toLowerCase()].verb };
+  }
+
+  // ensure we presently have the controller config loaded, otherwise reject..
+  if (!sails || !sails.config || !sails.config.blueprints || !sails.config.blueprints._controllers) {
+    return fail('badConfig', 'error', 'Failed to locate the `_controllers` field in blueprints config! Ensure you are running Sails v1!');
+  }
+
+  // grab any actions2 definition the action was built from, as it may hold its own config
+  let definition = null;
+  try {
+    definition = out.blueprint ? null : findActionDefinition(sails, action, out.path);
+  } catch (err) {
+    return fail('badConfig', 'error', `Failed to load the actions2 definition of "${out.path}". ${err.message}`);
+  }
+  out.definition = definition;
+  // picks the setting given by the action definition itself, else the entry for the action within the given config block
+  const pickOwn = (key, block) => (definition && (typeof definition[key] !== 'undefined')) ? definition[key] : block[out.name];
+
+  // try and grab our natural and marlin configs (one of these may be undefined, but at least one MUST be defined)
+  const controller = sails.config.blueprints._controllers[out.controllerIdent];
+  const marlinController = (sails.controllers && sails.controllers[out.controllerIdent]) ? sails.controllers[out.controllerIdent] : undefined;
+  out.controller = controller;
+
+  // grab any configs for blueprint actions, from most to least specific: the model definition, then the
+  // `stockade.blueprints` entry for the model, then the `stockade.blueprints` entry for every model
+  const blueprintConfigs = [];
+  if (out.blueprint) {
+    const globalBlueprints = ((sails.config.stockade instanceof Object) && (sails.config.stockade.blueprints instanceof Object)) ? sails.config.stockade.blueprints : {};
+    blueprintConfigs.push(...[model._config, globalBlueprints[out.controllerIdent], globalBlueprints['*']].filter(c => c instanceof Object));
+  }
+  // merges the given config block of every blueprint config, with the more specific taking precedence
+  const mergeBlueprintBlock = (block) => Object.assign({}, ...blueprintConfigs.map(c => c[block]).reverse());
+
+  // handle a particular weird case... (this really shouldn't happen unless marlin or sails change/break in some way, but it's better to be safe than sorry...)
+  // (blueprint actions needn't have a controller at all though, as they may be configured through their model, nor need actions2 actions holding their own config)
+  if (!out.blueprint && !definition && ((!controller && !marlinController) || (typeof controller !== 'object' && typeof marlinController !== 'object'))) {
+    return fail('badConfig', 'error', `Unable to locate controller information for "${out.path}". No such entry exists in the natural or marlin configs. Make sure you've defined a \`_config\` in the target controller!`);
+  }
+
+  const marlinConfig = ((marlinController instanceof Object) && (marlinController._config instanceof Object)) ? marlinController._config : {};
+  const marlinPerms = marlinConfig.permissions;
+  const naturalPerms = ((controller instanceof Object) ? controller : {}).permissions;
+  out.marlinConfig = marlinConfig;
+
+  // ensure our `permissions` types are proper objects if they have some truthy value (i.e. they'll not be replaced by an object already)
+  if (marlinPerms && (typeof marlinPerms !== 'object')) {
+    return fail('badConfig', 'error', `The marlin-configured \`permissions\` for "${out.path}" are invalid. Expected a proper object but instead found: (${typeof marlinPerms}) ${marlinPerms}`);
+  }
+  if (naturalPerms && (typeof naturalPerms !== 'object')) {
+    return fail('badConfig', 'error', `The configured \`permissions\` for "${out.path}" are invalid. Expected a proper object but instead found: (${typeof naturalPerms}) ${naturalPerms}`);
+  }
+
+  // merge all permissions... (on a per-action level, leaving the configs themselves untouched)
+  const allPerms = Object.assign({}, naturalPerms, marlinPerms);
+
+  // extract and merge all validations for this controller, if any
+  const marlinValidations = marlinConfig.validations || marlinConfig.params;
+  const naturalValidations = (controller instanceof Object) ? controller.validations || controller.params : {};
+  const allValidations = Object.assign(mergeBlueprintBlock('validations'), naturalValidations, marlinValidations);
+
+  // extract and merge all response validations for this controller, if any
+  const naturalResponses = (controller instanceof Object) ? controller.responses : {};
+  const allResponses = Object.assign(mergeBlueprintBlock('responses'), naturalResponses, marlinConfig.responses);
+
+  // extract and merge all enforcement modes for this controller, if any
+  const naturalModes = (controller instanceof Object) ? controller.modes : {};
+  const allModes = Object.assign(mergeBlueprintBlock('modes'), naturalModes, marlinConfig.modes);
+
+  // extract and merge all phase orders for this controller, if any
+  const naturalPhaseOrders = (controller instanceof Object) ? controller.phaseOrders : {};
+  const allPhaseOrders = Object.assign(mergeBlueprintBlock('phaseOrders'), naturalPhaseOrders, marlinConfig.phaseOrders);
+
+  // extract and merge all rate limits for this controller, if any
+  const naturalRateLimits = (controller instanceof Object) ? controller.rateLimits : {};
+  const allRateLimits = Object.assign(mergeBlueprintBlock('rateLimits'), naturalRateLimits, marlinConfig.rateLimits);
+
+  // extract and merge all parameter permissions for this controller, if any
+  const naturalParamPermissions = (controller instanceof Object) ? controller.paramPermissions : {};
+  const allParamPermissions = Object.assign(mergeBlueprintBlock('paramPermissions'), naturalParamPermissions, marlinConfig.paramPermissions);
+
+  // grab the matcher for this action, falling back to any blueprint entry (named after the action, else its verb),
+  // then the controller default and then any global entry
+  const globalPerms = (sails.config.stockade instanceof Object) ? sails.config.stockade.permissions : undefined;
+  const blueprintConfig = blueprintConfigs.find(c => (c.permissions instanceof Object) && (c.permissions[out.name] || c.permissions[out.blueprint.verb]));
+  if (definition && definition.permissions) {
+    if (!isMatcher(definition.permissions)) {
+      return fail('badConfig', 'error', `The \`permissions\` of the actions2 definition for "${out.path}" are invalid. Expected a Stockade matcher but instead found: (${typeof definition.permissions}) ${definition.permissions}`);
+    }
+    out.matcher = definition.permissions;
+    out.matcherSource = 'definition';
+  } else if (allPerms[out.name]) {
+    out.matcher = allPerms[out.name];
+    out.matcherSource = 'action';
+  } else if (blueprintConfig) {
+    out.matcher = blueprintConfig.permissions[out.name] || blueprintConfig.permissions[out.blueprint.verb];
+    out.matcherSource = 'blueprint';
+  } else if (allPerms['*']) {
+    out.matcher = allPerms['*'];
+    out.matcherSource = 'controller';
+  } else if (globalPerms instanceof Object) {
+    const pattern = Object.keys(globalPerms).find(p => globalPerms[p] && globToRegExp(p).test(out.path));
+    if (pattern) {
+      out.matcher = globalPerms[pattern];
+      out.matcherSource = 'global';
+    }
+  }
+
+  // grab any schema for this action, falling back on one built from the inputs of any actions2 definition where
+  // asked to (either by the definition, else by the `validateInputs` setting)
+  out.schema = pickOwn('validations', allValidations);
+  const stockadeConfig = (sails.config.stockade instanceof Object) ? sails.config.stockade : {};
+  const validateInputs = (definition && (typeof definition.validateInputs === 'boolean')) ? definition.validateInputs : !!stockadeConfig.validateInputs;
+  if ((typeof out.schema === 'undefined') && validateInputs && definition && (definition.inputs instanceof Object)) {
+    out.schema = fromInputs(definition.inputs);
+  }
+  out.responseSchemas = pickOwn('responses', allResponses);
+  out.mode = pickOwn('mode', allModes);
+  out.phaseOrder = pickOwn('phaseOrder', allPhaseOrders);
+  out.rateLimit = pickOwn('rateLimit', allRateLimits);
+
+  // ensure any parameter permissions are something we can work with, normalising each to `{ matcher, onDenied }`
+  const paramPermissions = pickOwn('paramPermissions', allParamPermissions);
+  if (typeof paramPermissions !== 'undefined') {
+    if (!(paramPermissions instanceof Object)) {
+      return fail('badConfig', 'error', `The configured \`paramPermissions\` for "${out.path}" are invalid. Expected a proper object but instead found: (${typeof paramPermissions}) ${paramPermissions}`);
+    }
+    out.paramPermissions = {};
+    for (const paramName of Object.keys(paramPermissions)) {
+      const entry = paramPermissions[paramName];
+      const normalised = isMatcher(entry) ? { matcher: entry, onDenied: undefined } : entry;
+      if (!(normalised instanceof Object) || !isMatcher(normalised.matcher) || ((typeof normalised.onDenied !== 'undefined') && !['forbid', 'strip'].includes(normalised.onDenied))) {
+        return fail('badConfig', 'error', `The configured \`paramPermissions\` entry for parameter "${paramName}" of "${out.path}" is invalid. Expected either a matcher or an object of form \`{ matcher, onDenied }\`, with \`onDenied\` being 'forbid' or 'strip'.`);
+      }
+      out.paramPermissions[paramName] = { matcher: normalised.matcher, onDenied: normalised.onDenied };
+    }
+  }
+
+  // ensure any phase order is one we know of, and that schemas chosen by permission outcome can actually be chosen
+  if ((typeof out.phaseOrder !== 'undefined') && !PHASE_ORDERS.includes(out.phaseOrder)) {
+    return fail('badConfig', 'error', `The configured \`phaseOrders\` entry for "${out.path}" is invalid. Expected either 'paramsFirst' or 'permissionsFirst', but instead found: (${typeof out.phaseOrder}) ${out.phaseOrder}`);
+  }
+  if (isPermissionSchema(out.schema)) {
+    if (!(out.schema.byPermission['*'] instanceof Object)) {
+      return fail('badConfig', 'error', `The configured \`validations\` entry for "${out.path}" chooses its schema by permission outcome, but has no '*' entry to fall back on.`);
+    }
+    if (out.phaseOrder === 'paramsFirst') {
+      return fail('badConfig', 'error', `The configured \`validations\` entry for "${out.path}" chooses its schema by permission outcome, so its permissions must run first, but its \`phaseOrders\` entry is 'paramsFirst'.`);
+    }
+    out.phaseOrder = 'permissionsFirst';
+  }
+
+  // ensure any rate limit is something we can work with
+  const rateLimitIssue = (typeof out.rateLimit !== 'undefined') ? describeRuleIssue(out.rateLimit) : null;
+  if (rateLimitIssue) {
+    return fail('badConfig', 'error', `The configured \`rateLimits\` entry for "${out.path}" is invalid. ${rateLimitIssue}`);
+  }
+
+  // build any schemas derived from models, which can only be done now the models are loaded, then make sure every
+  // schema the action may validate against can be made sense of (such as holding only valid Joi schemas)
+  try {
+    out.schema = resolveModelSchemas(out.schema, sails);
+    out.responseSchemas = resolveModelSchemas(out.responseSchemas, sails);
+    (isPermissionSchema(out.schema) ? Object.values(out.schema.byPermission) : [out.schema]).forEach(extractSubschema);
+  } catch (err) {
+    return fail('badConfig', 'error', `The validations configured for "${out.path}" are invalid. ${err.message}`);
+  }
+
+  if (!out.matcher) {
+    const blueprintHint = out.blueprint ? ` This is a blueprint action, so it may also be guarded through the \`_config\` of the "${out.controllerIdent}" model or the \`stockade.blueprints\` config.` : '';
+    const definitionHint = definition ? ' This is an actions2 action, so it may also be guarded through the `permissions` of its definition.' : '';
+    return fail('unguarded', 'warn', `Found no entry for "${out.name}" (nor any "*" default) in the \`permissions\` block of the "${out.controllerIdent}" controller, and no \`stockade.permissions\` pattern matches "${out.path}".${blueprintHint}${definitionHint}`);
+  }
+
+  return out;
+}
+
+module.exports = resolveActionConfig;
+module.exports.globToRegExp = globToRegExp;
+module.exports.PHASE_ORDERS = PHASE_ORDERS;
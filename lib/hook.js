@@ -4,11 +4,81 @@ const Permissions = require('stockade');
 const ErrorsHelper = require('./helper/errors');
 
 // Helper functions.
+const createJsonLinesSink = require('./audit/jsonLinesSink');
+const describeMatcher = require('./helper/describeMatcher');
+const { describeActions, explainRequest } = require('./introspection/introspect');
+const problemJson = require('./helper/problemJson');
+const checkRateLimit = require('./rateLimits/checkRateLimit');
+const MemoryStore = require('./rateLimits/memoryStore');
+const MetricsCollector = require('./metrics/metricsCollector');
+const resolveActionConfig = require('./helper/resolveActionConfig');
 const requestParamValidator = require('./validations/requestParamValidator');
+const { compileSchemas, makeParamErrorKey, selectPermissionSchema } = require('./validations/requestParamValidator');
+const guardResponses = require('./validations/responseValidator');
+
+/**
+ * Responses sent in place of those the hook can't fulfil, converted into errors of the
+ * error service in use before being sent.
+ */
+const RESPONSES = {
+  malformedAction: {
+    name: 'malformedAction',
+    message: 'Malformed action received!',
+  },
+  badConfig: {
+    name: 'badConfig',
+    message: 'Invalid configuration has caused the request to be unhandleable.',
+  },
+  invalidResponse: {
+    name: 'invalidResponse',
+    message: 'The response generated for the request was invalid.',
+  },
+};
+
+/**
+ * The stages at which pipeline steps may be run, in the order they're run (where validation
+ * and permission stages swap places with a 'permissionsFirst' phase order). Validation,
+ * permission and action stages surround the phases of the same name, while `onError` steps
+ * are only run where an error is thrown.
+ */
+const PIPELINE_STAGES = ['beforeValidation', 'afterValidation', 'beforePermissions', 'afterPermissions', 'beforeAction', 'afterAction', 'onError'];
+
+/**
+ * @typedef {Object} PipelineContext - The context of a single request, as passed to every
+ * pipeline step.
+ * @property {string} action - Full path of the action requested, '/'-delimited.
+ * @property {ResolvedActionConfig} actionConfig - The config resolved for the action.
+ * @property {Function} rawAction - The original (unpatched) action.
+ * @property {string} phase - The phase or stage currently running, such as 'params' or
+ * 'beforeAction'. Left as the phase which threw while `onError` steps run.
+ * @property {boolean} isReportMode - Whether failures are only being reported on.
+ * @property {string} phaseOrder - Whether parameters are validated before permissions
+ * ('paramsFirst') or after ('permissionsFirst').
+ * @property {Object} permissions - The result of `Permissions.validate(...)` for the action's
+ * matcher, once permissions have been validated, of form
+ * `{ hasPassed, passedValidations, failedValidations, thrownErrors }`.
+ * @property {Object} timings - The milliseconds taken by each phase so far.
+ * @property {Object} state - An object for steps to share any state of their own through,
+ * such as a resolved tenant.
+ * @property {*} result - The result returned by the action, once it has run.
+ * @property {*} error - The error thrown, for `onError` steps.
+ */
 
 module.exports = class SailsHookStockade {
   constructor(sails) {
     this.sails = sails;
+    // counts of failures let through per action path while in report mode
+    this._reportCounts = {};
+    // the built-in rate limit store, created once first needed
+    this._memoryStore = null;
+    // resolved action configs, keyed by action identity
+    this._actionConfigs = new Map();
+    // errors sent in place of responses which can't be fulfilled, created once first needed
+    this._responses = null;
+    // per-action request metrics, collected once initialised unless disabled
+    this._metrics = null;
+    // pipeline steps added through `addStep(...)`, keyed by stage
+    this._pipelineSteps = PIPELINE_STAGES.reduce((acc, stage) => Object.assign(acc, { [stage]: [] }), {});
     this._bindEventHandlers();
   }
 
@@ -16,30 +86,301 @@ module.exports = class SailsHookStockade {
     return {
       stockade: {
         /**
-         * How returned errors should be wrapped, if at all. Possible options:
+         * How returned errors should be wrapped, if at all. Applies both to the explanations
+         * of failed permission validations and to the errors of rejected parameters.
+         * Possible options:
          *
          * - false (boolean): Prevents errors from being wrapped at all. They will be
          * returned just as they are from the validator.
          * - 'all' (string): Wraps all errors returned from the validator.
          * - 'first' (string): Wraps just the first error returned from the validator.
-         * If the floatplane-hook-errors is installed, then any FloatplaneError objects
-         * will take precedence.
+         * Any already wrapped errors (such as FloatplaneError objects) will take
+         * precedence.
          * - 'notLoggedIn' (string): Special mode which will act differently depending
          * on the errors returned from the validator. If a FloatplaneError is returned
          * of type 'notLoggedInError', then it will be the only error wrapped. If there
          * is no such error returned, then this mode behaves like 'all'.
+         * - function: Called as `wrapErrors(errors, { type, ErrorService })` where `type` is
+         * either 'forbidden', 'badRequest' or 'tooManyRequests', returning the list of errors
+         * to send. As with the other options, more than one error is sent as an error group.
          */
         wrapErrors: 'all',
+
+        /**
+         * How the payload of forbidden, bad request and rate limited responses should be
+         * formatted.
+         * Possible options:
+         *
+         * - null: The wrapped errors are sent as-is.
+         * - 'problem+json' (string): Sends an RFC 7807 `application/problem+json` document,
+         * listing rejected parameters within `invalid-params`.
+         * - function: Called as `formatError(failure, req, res)`, returning the payload to
+         * send. See `StockadeFailure` for the fields of `failure`.
+         */
+        formatError: null,
+
+        /**
+         * Whether or not the lift should be stopped when any action is found to have no
+         * permission matcher. Every action is patched and checked once Sails has lifted,
+         * with a report of any unguarded, unvalidated or malformed actions logged.
+         */
+        failOnUnguarded: false,
+
+        /**
+         * How response payloads failing the schemas given in `_config.responses` should be
+         * handled. Possible options:
+         *
+         * - 'enforce' (string): The payload is replaced by a 500 response, with the failure
+         * logged.
+         * - 'report' (string): The failure is logged, but the payload is sent as-is.
+         * - null: Uses 'report' in production, and 'enforce' in all other environments.
+         *
+         * Payloads passing validation are always sent as sanitised by Joi, with unknown
+         * fields stripped.
+         */
+        responseValidation: null,
+
+        /**
+         * Where the built-in audit sink should write Stockade audit events to, as one JSON
+         * object per line. May be either a file path, or an object of form
+         * `{ path, identify, events }` as accepted by `createJsonLinesSink(...)`. The sink is
+         * disabled when `null`, though events are always emitted on `sails` regardless.
+         */
+        auditLog: null,
+
+        /**
+         * How permission and parameter validation failures should be handled. Possible
+         * options:
+         *
+         * - 'enforce' (string): Failures are rejected with a 403 or 400 response.
+         * - 'report' (string): Failures are logged and counted, but the action still runs.
+         * Useful for watching the impact of a new rule before enforcing it.
+         *
+         * May be overridden per action through the `_config.modes` block of a controller.
+         */
+        mode: 'enforce',
+
+        /**
+         * The order in which parameter validation and permission validation run. Possible
+         * options:
+         *
+         * - 'paramsFirst' (string): Parameters are validated first, so permission providers
+         * may rely on `req.validatedParams`.
+         * - 'permissionsFirst' (string): Permissions are validated first, so callers who may
+         * not use an action are forbidden before learning anything about its schema.
+         *
+         * Parameter permissions always run once both are done. May be overridden per action
+         * through the `_config.phaseOrders` block of a controller. Actions choosing their
+         * schema by permission outcome (through a `byPermission` validation) always validate
+         * permissions first.
+         */
+        phaseOrder: 'paramsFirst',
+
+        /**
+         * Whether actions2 (machine-style) actions without a `validations` schema should have
+         * their parameters validated against a Joi schema built from their `inputs`. May be
+         * overridden per action through a `validateInputs` flag within its definition.
+         */
+        validateInputs: false,
+
+        /**
+         * Default permission matchers keyed by action path globs, such as `admin/**` or
+         * `user/get*`. Used only for actions with neither an entry of their own nor a `'*'`
+         * default entry in their controller `permissions` block. Where several globs match
+         * an action, the first declared is used.
+         */
+        permissions: {},
+
+        /**
+         * Configs for the blueprint actions of models, keyed by model identity, or by `'*'`
+         * for every model. Each may hold the same blocks as a controller `_config`, with
+         * `permissions` also accepting `read` and `write` defaults. Used after any `_config`
+         * given within the model definition itself.
+         */
+        blueprints: {},
+
+        /**
+         * How parameters failing their `_config.paramPermissions` matcher should be handled,
+         * unless an `onDenied` option is given for the parameter itself. Possible options:
+         *
+         * - 'forbid' (string): The request is rejected with a 403 response, explaining which
+         * parameters may not be set.
+         * - 'strip' (string): The parameters are removed from `req.validatedParams`, and the
+         * action still runs.
+         */
+        onParamDenied: 'forbid',
+
+        /**
+         * The store used to count requests against the rate limits given in
+         * `_config.rateLimits`. Must implement `increment(key, windowMs)`, resolving with
+         * `{ count, resetAt }`. Uses a built-in in-memory store when `null`, which only counts
+         * requests per process.
+         */
+        rateLimitStore: null,
+
+        /**
+         * Whether per-action metrics should be collected, being counts of each request
+         * outcome and latency histograms of the Joi, Waterline, permission and action phases.
+         * Available in the Prometheus text format from `getMetrics()`, and from the
+         * `metricsRoute` where set.
+         */
+        metrics: true,
+
+        /**
+         * The route address metrics should be served from, such as 'GET /metrics', or `null`
+         * to leave them unrouted. Note the route isn't guarded by any permissions, so it
+         * should only be set where it can't be reached publicly.
+         */
+        metricsRoute: null,
+
+        /**
+         * Whether the development introspection routes should be served:
+         *
+         * - `GET /__stockade/actions` lists every action with its resolved permission matcher,
+         * validation schemas, and whether it has been patched.
+         * - `POST /__stockade/explain` simulates a request to an action, given a body of form
+         * `{ action, user, params, ... }`, explaining which validations passed or failed.
+         *
+         * Never served in production, whatever this is set to.
+         */
+        introspection: false,
+
+        /**
+         * Steps run around each phase of handling a request, keyed by stage: one of
+         * 'beforeValidation', 'afterValidation', 'beforePermissions', 'afterPermissions',
+         * 'beforeAction', 'afterAction' or 'onError'. Each stage takes a step function, or a
+         * list of them run in order, called as `step(req, res, context)` and possibly returning
+         * a promise. See `PipelineContext` for the fields of `context`.
+         *
+         * A step ahead of the action may end the request by sending a response itself. Steps
+         * may also be added through `sails.hooks.stockade.addStep(...)`, which are run after
+         * those given here.
+         */
+        pipeline: {},
       }
     };
   }
 
   initialize(done) {
+    const phaseOrder = this.sails.config.stockade.phaseOrder;
+    if (!resolveActionConfig.PHASE_ORDERS.includes(phaseOrder)) {
+      return done(new Error(`The configured \`stockade.phaseOrder\` is invalid. Expected either 'paramsFirst' or 'permissionsFirst', but instead found: (${typeof phaseOrder}) ${phaseOrder}`));
+    }
+
+    // make sure any configured pipeline steps are usable, before any request finds out otherwise
+    const pipeline = this.sails.config.stockade.pipeline || {};
+    for (const stage in pipeline) {
+      const issue = describeStepIssue(stage, [].concat(pipeline[stage]));
+      if (issue) {
+        return done(new Error(`The configured \`stockade.pipeline\` is invalid. ${issue}`));
+      }
+    }
+
+    // start our built-in audit sink if one has been configured
+    const auditLog = this.sails.config.stockade.auditLog;
+    if (auditLog) {
+      const sinkOpts = (typeof auditLog === 'string') ? { path: auditLog } : auditLog;
+      const sink = createJsonLinesSink(this.sails, sinkOpts.path, sinkOpts);
+      this.sails.on('lower', () => sink.close());
+    }
+
+    if (this.sails.config.stockade.metrics) {
+      this._metrics = new MetricsCollector();
+    }
+    if (this.sails.config.stockade.introspection && (this.sails.config.environment === 'production')) {
+      this.sails.log.warn('[sails-hook-stockade]', 'Ignoring the `stockade.introspection` setting, as introspection routes are never served in production.');
+    }
+
+    // bind our routes ahead of the app's own, each time the router is (re)loaded
+    this.sails.on('router:before', () => {
+      const { before } = this.routes();
+      Object.keys(before).forEach(address => this.sails.router.bind(address, before[address]));
+    });
+
+    // once the router has first loaded (with every action registered, blueprints included), patch every action up
+    // front and report on any which are lacking, rather than waiting for requests to find out
+    // (the router only loads once every hook has initialised, so we can't hold `done` for this, though Sails fails
+    // the load with any error thrown here, before the HTTP server is started)
+    this.sails.once('router:after', () => {
+      const report = this._patchAllActions();
+      // stop the lift if we've been asked to be strict about unguarded actions
+      if (this.sails.config.stockade.failOnUnguarded && (report.unguarded.length > 0)) {
+        throw new Error(`Found ${report.unguarded.length} action(s) with no entry in their controller \`permissions\` block, while \`stockade.failOnUnguarded\` is set: ${report.unguarded.map(a => a.action).join(', ')}`);
+      }
+    });
+
     this.sails.log.debug('[sails-hook-stockade] Loaded OK!');
     return done();
   }
 
+  /**
+   * Returns the routes served by the hook, of form `{ before: { [address]: handler } }`. Holds
+   * the metrics route where `metricsRoute` is set, and the introspection routes where
+   * `introspection` is enabled outside of production.
+   */
   routes() {
+    const routes = { before: {} };
+    const metricsRoute = this.sails.config.stockade.metricsRoute;
+    if (metricsRoute && this._metrics) {
+      routes.before[metricsRoute] = (req, res) => {
+        res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+        return res.send(this.getMetrics());
+      };
+    }
+
+    if (this.sails.config.stockade.introspection && (this.sails.config.environment !== 'production')) {
+      routes.before['GET /__stockade/actions'] = (req, res) => res.json(describeActions(this));
+      routes.before['POST /__stockade/explain'] = async (req, res) => {
+        try {
+          const explanation = await explainRequest(this, req.body);
+          if (!explanation) {
+            return res.notFound({ message: `No action named "${(req.body || {}).action}" could be found.` });
+          }
+          return res.json(explanation);
+        } catch (err) {
+          this.sails.log.error('[sails-hook-stockade]', 'Error occurred while explaining a simulated request:', err);
+          return res.serverError(err);
+        }
+      };
+    }
+    return routes;
+  }
+
+  /**
+   * Adds a step to the request pipeline, run after any steps already given for the stage.
+   *
+   * @param {string} stage - The stage to run the step at, being one of 'beforeValidation',
+   * 'afterValidation', 'beforePermissions', 'afterPermissions', 'beforeAction',
+   * 'afterAction' or 'onError'.
+   * @param {Function} step - The step, called as `step(req, res, context)` and possibly
+   * returning a promise.
+   *
+   * @throws {Error} An error if the stage is unknown, or the step isn't a function.
+   */
+  addStep(stage, step) {
+    const issue = describeStepIssue(stage, [step]);
+    if (issue) {
+      throw new Error(issue);
+    }
+    this._pipelineSteps[stage].push(step);
+  }
+
+  /**
+   * Returns the metrics collected so far in the Prometheus text exposition format, or an empty
+   * string if metrics are disabled. Requests are counted under `stockade_requests_total`
+   * (labelled by `action` and `outcome`), while latencies are recorded under
+   * `stockade_phase_duration_seconds` (labelled by `action` and `phase`).
+   */
+  getMetrics() {
+    return this._metrics ? this._metrics.toPrometheus() : '';
+  }
+
+  /**
+   * Returns the counts of validation failures let through while in report mode, keyed by
+   * action path. Each entry is of form `{ denied, paramsRejected, paramsDenied, rateLimited }`.
+   */
+  getReportCounts() {
+    return JSON.parse(JSON.stringify(this._reportCounts));
   }
 
   _bindEventHandlers() {
@@ -56,6 +397,67 @@ module.exports = class SailsHookStockade {
       // (by patching, we intercept the request logic, still allowing any general policies to run beforehand, but catching scenarios where no permissions are manually set)
       this._patchAction(req.options.action);
     });
+
+  }
+
+  /**
+   * Patches every action currently registered with Sails, then logs and returns a report of
+   * any actions found to be unguarded, unvalidated, malformed or otherwise misconfigured.
+   *
+   * @returns {Object} The report generated, holding `unguarded`, `unvalidated`, `malformed`
+   * and `badConfig` lists, with one `{ action, path, message }` entry per offending action.
+   */
+  _patchAllActions() {
+    const report = {
+      total: 0,
+      unguarded: [],
+      unvalidated: [],
+      malformed: [],
+      badConfig: [],
+    };
+
+    Object.keys(this.sails._actions || {}).forEach(actionName => {
+      this._patchAction(actionName);
+
+      const action = this.sails._actions[actionName];
+      if (typeof action !== 'function') {
+        return;
+      }
+      report.total++;
+
+      const actionConfig = this._getActionConfig(action, actionName);
+      const entry = (message) => ({ action: actionName, path: actionConfig.path, message });
+      const unvalidatedEntry = () => entry(`Found no entry for "${actionConfig.name}" in the \`validations\` block of the "${actionConfig.controllerIdent}" controller.`);
+
+      if (!actionConfig.issue) {
+        // we've a guarded action, so just note if there's no validation schema present
+        if (!actionConfig.schema) {
+          report.unvalidated.push(unvalidatedEntry());
+        }
+        return;
+      }
+      switch (actionConfig.issue.type) {
+        case 'malformedAction':
+          return report.malformed.push(entry(actionConfig.issue.message));
+        case 'unguarded':
+          report.unguarded.push(entry(actionConfig.issue.message));
+          // an unguarded action may still be without validations
+          return actionConfig.schema ? undefined : report.unvalidated.push(unvalidatedEntry());
+        default:
+          return report.badConfig.push(entry(actionConfig.issue.message));
+      }
+    });
+
+    // log our report, loudly only if some action can't actually be served
+    const hasProblems = report.unguarded.length + report.malformed.length + report.badConfig.length > 0;
+    this.sails.log[hasProblems ? 'warn' : 'verbose']('[sails-hook-stockade]', `Patched ${report.total} action(s). Action guard report:`, {
+      unguarded: report.unguarded,
+      unvalidated: report.unvalidated,
+      malformed: report.malformed,
+      badConfig: report.badConfig,
+    });
+
+    return report;
   }
 
   _patchAction(actionName) {
@@ -74,8 +476,8 @@ module.exports = class SailsHookStockade {
 
     // generate a wrapped action, minding the async-ness of the original
     const wrappedAction = (action.constructor.name === 'AsyncFunction')
-      ? async (req, res) => this._executeActionWrapped(req, res, action)
-      : (req, res) => this._executeActionWrapped(req, res, action);
+      ? async (req, res) => this._executeActionWrapped(req, res, action, actionName)
+      : (req, res) => this._executeActionWrapped(req, res, action, actionName);
 
     // copy all properties from the original action (something like '_middlewareType')
     for (const key in action) {
@@ -88,195 +490,681 @@ module.exports = class SailsHookStockade {
 
     // update the actual action record
     this.sails._actions[actionName] = wrappedAction;
+
+    // resolve the action config and build its schemas up front, so the first request needn't
+    const actionConfig = this._getActionConfig(action, actionName);
+    try {
+      compileSchemas(actionConfig);
+    } catch (err) {
+      // an invalid schema fails every request to the action, which will report it then
+      this.sails.log.verbose('[sails-hook-stockade]', `Failed building the schemas of action "${actionName}" up front:`, err);
+    }
   }
 
-  async _executeActionWrapped(req, res, action) {
-    const RESPONSES = {
-      malformedAction: {
-        name: 'malformedAction',
-        message: 'Malformed action received!',
-      },
-      badConfig: {
-        name: 'badConfig',
-        message: 'Invalid configuration has caused the request to be unhandleable.',
-      },
-    };
+  /**
+   * Returns the config resolved for the given action (either the original or the patched),
+   * resolving and caching it on first use. Configs are cached per action identity (as the
+   * blueprint actions of every model share a single function), with their schemas built as
+   * each action is patched (see `compileSchemas(...)`), so each is only built once.
+   *
+   * @param {Function} action - The action to get the config of.
+   * @param {string} identity - The identity the action is registered under within
+   * `sails._actions`, such as 'user/getinfo'.
+   *
+   * @returns {ResolvedActionConfig}
+   */
+  _getActionConfig(action, identity) {
+    const cacheKey = (typeof identity === 'string') ? identity.toLowerCase() : undefined;
+    if (cacheKey && this._actionConfigs.has(cacheKey)) {
+      return this._actionConfigs.get(cacheKey);
+    }
+    const actionConfig = resolveActionConfig(this.sails, action, identity);
+    if (cacheKey) {
+      this._actionConfigs.set(cacheKey, actionConfig);
+    }
+    return actionConfig;
+  }
+
+  /**
+   * Clears every cached action config, so that configs are resolved afresh. Useful for
+   * development setups reloading controllers or models without restarting the app.
+   */
+  clearConfigCache() {
+    this._actionConfigs.clear();
+  }
 
-    // If we have the floatplane-hook-error service defined global, we'll convert all the RESPONSES above into FloatplaneErrors.
-    // [Normally we wouldn't do this, as having them be plain objects is totally great, they'd be automatically logged and all.]
-    // [The exception is being made here simply for clarity purposes, since none of these errors expose anything truly private.]
-    // [If this changes and private data is for some reason included in output errors, make sure to remove this conversion.]
-    const ErrorService = ErrorsHelper.tryGetErrorService();
-    if (ErrorService) {
+  /**
+   * Returns the errors sent in place of responses the hook can't fulfil, created by the error
+   * service in use (either floatplane-hook-error's or the built-in one). Created once, unless
+   * the error service in use changes.
+   */
+  _getResponses() {
+    const ErrorService = ErrorsHelper.getErrorService();
+    if (!this._responses || (this._responses.ErrorService !== ErrorService)) {
+      // [Normally we wouldn't do this, as having them be plain objects is totally great, they'd be automatically logged and all.]
+      // [The exception is being made here simply for clarity purposes, since none of these errors expose anything truly private.]
+      // [If this changes and private data is for some reason included in output errors, make sure to remove this conversion.]
+      this._responses = { ErrorService };
       for (const k in RESPONSES) {
-        RESPONSES[k] = ErrorService.createError(RESPONSES[k].name, RESPONSES[k].message);
+        this._responses[k] = ErrorService.createError(RESPONSES[k].name, RESPONSES[k].message);
       }
     }
+    return this._responses;
+  }
+
+  async _executeActionWrapped(req, res, action, identity) {
+    const RESPONSES = this._getResponses();
 
-    // if we're missing the middlewareType field or it's not formatted properly, then there's something goofed up about this request, reject..
-    if ((typeof action._middlewareType !== 'string') || (!action._middlewareType.startsWith('ACTION:'))) {
-      this.sails.log.warn('[sails-hook-stockade]', 'Received funky non-action request:', req);
-      return res.serverError(RESPONSES.malformedAction);
+    // grab the merged natural and marlin configs for this action
+    const actionConfig = this._getActionConfig(action, identity);
+
+    // if anything is amiss with the action or its config, log and reject accordingly..
+    if (actionConfig.issue) {
+      switch (actionConfig.issue.type) {
+        case 'malformedAction':
+          this.sails.log.warn('[sails-hook-stockade]', 'Received funky non-action request:', req);
+          this._countOutcome(actionConfig.path, 'error');
+          return res.serverError(RESPONSES.malformedAction);
+        case 'unguarded':
+          this.sails.log.warn('[sails-hook-stockade]', `${actionConfig.issue.message} The request has been forbidden by default.`);
+          this._countOutcome(actionConfig.path, 'denied');
+          return res.forbidden(RESPONSES.badConfig);
+        default:
+          this.sails.log.error('[sails-hook-stockade]', actionConfig.issue.message);
+          this._countOutcome(actionConfig.path, 'error');
+          return res.serverError(RESPONSES.badConfig);
+      }
     }
 
-    // ensure we presently have the controller config loaded, otherwise reject..
-    if (!this.sails || !this.sails.config || !this.sails.config.blueprints || !this.sails.config.blueprints._controllers) {
-      this.sails.log.error('[sails-hook-stockade]', 'Failed to locate the `_controllers` field in blueprints config! Ensure you are running Sails v1!');
-      return res.serverError(RESPONSES.badConfig);
+    const context = this._createContext(actionConfig, action);
+    try {
+      await this._runPipeline(req, res, context);
+    } catch (err) {
+      await this._handlePipelineError(err, req, res, context);
     }
+  }
 
-    // grab the complete action path
-    const fullActionPath = action._middlewareType.substr('ACTION:'.length).trim();
-    // break that path into separate components
-    const components = fullActionPath.split('/');
-    // extract the action controller path (all but the last component, joined by '/')
-    const controllerIdent = components.filter((v, i, a) => i !== a.length - 1).join('/');
-    // extract the action name itself within the owning controller (just the last component)
-    const actionName = components.pop();
-    // get the cased name..
-    const actionCaseName = action.name.substr(0, actionName.length);    // (-'_patch')
+  /**
+   * Creates the context of a single request, as passed to every pipeline step.
+   *
+   * @param {ResolvedActionConfig} actionConfig - The config resolved for the action invoked.
+   * @param {Function} action - The original action invoked.
+   *
+   * @returns {PipelineContext}
+   */
+  _createContext(actionConfig, action) {
+    const startedAt = process.hrtime();
+    return {
+      action: actionConfig.path,
+      actionConfig,
+      rawAction: action,
+      phase: null,
+      // determine whether failures should actually be rejected, or just reported on
+      isReportMode: (actionConfig.mode || this.sails.config.stockade.mode) === 'report',
+      phaseOrder: actionConfig.phaseOrder || this.sails.config.stockade.phaseOrder,
+      permissions: null,
+      // track how long each phase of the request takes, for the sake of audit events and metrics
+      timings: {},
+      state: {},
+      result: undefined,
+      error: undefined,
+      _startedAt: startedAt,
+      _phaseStartedAt: startedAt,
+      _isCounted: false,
+    };
+  }
 
-    // try and grab our natural and marlin configs (one of these may be undefined, but at least one MUST be defined)
-    const controller = this.sails.config.blueprints._controllers[controllerIdent];
-    const marlinController = (this.sails.controllers && this.sails.controllers[controllerIdent]) ? this.sails.controllers[controllerIdent] : undefined;
+  /**
+   * Runs each phase of the request pipeline in order, along with the pipeline steps registered
+   * around them, stopping as soon as a response has been sent on behalf of the action. The
+   * params and permissions phases run in the `phaseOrder` of the context, with parameter
+   * permissions checked at the end of whichever runs last (ahead of its `after` steps).
+   *
+   * @param {SailsRequest} req - The request being handled.
+   * @param {SailsResponse} res - The response to the request.
+   * @param {PipelineContext} context - The context of the request.
+   */
+  async _runPipeline(req, res, context) {
+    const validation = ['beforeValidation', () => this._runParamsPhase(req, res, context), 'afterValidation'];
+    const permissions = ['beforePermissions', () => this._runPermissionsPhase(req, res, context), 'afterPermissions'];
+    const [first, last] = (context.phaseOrder === 'permissionsFirst') ? [permissions, validation] : [validation, permissions];
 
+    const phases = [
+      () => this._runRateLimitPhase(req, res, context),
+      ...first,
+      ...last.slice(0, 2), () => this._runParamPermissionsPhase(req, res, context), last[2],
+      'beforeAction',
+    ];
+    for (const phase of phases) {
+      const hasResponded = (typeof phase === 'string') ? await this._runSteps(phase, req, res, context) : await phase();
+      if (hasResponded) {
+        return;
+      }
+    }
+    await this._runActionPhase(req, res, context);
+    await this._runSteps('afterAction', req, res, context);
+  }
 
-    // handle a particular weird case... (this really shouldn't happen unless marlin or sails change/break in some way, but it's better to be safe than sorry...)
-    if ((!controller && !marlinController) || (typeof controller !== 'object' && typeof marlinController !== 'object')) {
-      this.sails.log.error('[sails-hook-stockade]', `Unable to locate controller information for "${fullActionPath}". No such entry exists in the natural or marlin configs. Make sure you've defined a \`_config\` in the target controller!`);
-      return res.serverError(RESPONSES.badConfig);
+  /**
+   * Runs every pipeline step registered for the given stage in order, first those given
+   * through the `pipeline` setting and then those added through `addStep(...)`. Steps of the
+   * stages ahead of the action stop the pipeline by sending a response, while every step of
+   * the `afterAction` and `onError` stages is always run.
+   *
+   * @returns {Promise<boolean>} Resolves with whether a response has been sent, so the
+   * pipeline should stop.
+   */
+  async _runSteps(stage, req, res, context) {
+    const steps = [].concat((this.sails.config.stockade.pipeline || {})[stage] || [], this._pipelineSteps[stage]);
+    const canFinish = !['afterAction', 'onError'].includes(stage);
+    for (const step of steps) {
+      if (stage !== 'onError') {
+        context.phase = stage;
+      }
+      await step(req, res, context);
+      if (canFinish && res.headersSent) {
+        return true;
+      }
     }
+    return false;
+  }
 
-    const marlinConfig = ((marlinController instanceof Object) && (marlinController._config instanceof Object)) ? marlinController._config : {};
-    const marlinPerms = marlinConfig.permissions;
-    const naturalPerms = ((controller instanceof Object) ? controller : {}).permissions;
+  /**
+   * Handles an error thrown during the request pipeline, whether by the hook, a pipeline
+   * step or the action itself. The error is emitted and handed to any `onError` steps, then
+   * responded to with a 500 unless some step has responded already.
+   */
+  async _handlePipelineError(err, req, res, context) {
+    context.error = err;
+    // nothing may stop us responding from here, so guard the recording of the error too
+    try {
+      if (context.phase === 'action') {
+        this._endPhase(context, 'action');
+      }
+      this._emitContextEvent('actionError', req, context, { phase: context.phase, error: err });
+      // (a request already counted, such as one whose `afterAction` step threw, keeps its outcome)
+      this._countContextOutcome(context, 'error');
+    } catch (recordErr) {
+      this.sails.log.error('[sails-hook-stockade]', `Error occurred while recording an error of "${context.action}":`, recordErr);
+    }
 
-    // ensure our `permissions` types are proper objects if they have some truthy value (i.e. they'll not be replaced by an object already)
-    if (marlinPerms && (typeof marlinPerms !== 'object')) {
-      this.sails.log.error('[sails-hook-stockade]', `The marlin-configured \`permissions\` for "${fullActionPath}" are invalid. Expected a proper object but instead found: (${typeof marlinPerms}) ${marlinPerms}`);
-      return res.serverError(RESPONSES.badConfig);
+    try {
+      await this._runSteps('onError', req, res, context);
+    } catch (stepErr) {
+      this.sails.log.error('[sails-hook-stockade]', `Error occurred in an \`onError\` pipeline step of "${context.action}":`, stepErr);
     }
-    if (naturalPerms && (typeof naturalPerms !== 'object')) {
-      this.sails.log.error('[sails-hook-stockade]', `The configured \`permissions\` for "${fullActionPath}" are invalid. Expected a proper object but instead found: (${typeof naturalPerms}) ${naturalPerms}`);
-      return res.serverError(RESPONSES.badConfig);
+    if (!res.headersSent) {
+      res.serverError(err);
     }
 
-    // merge all permissions... (on a per-action level)
-    const allPerms = Object.assign(naturalPerms || {}, marlinPerms || {});
+    // If we've floatplane-hook-error installed, don't bother logging action errors here, as it should handle logging (no double-logging please!).
+    if (context.phase === 'action') {
+      if (ErrorsHelper.tryGetErrorService()) {
+        return;
+      }
+      return this.sails.log.error('[sails-hook-stockade]', `Error executing action "${context.action}":`, err);
+    }
+    return this.sails.log.error('[sails-hook-stockade]', `Error occurred during the \`${context.phase}\` phase of "${context.action}":`, err);
+  }
 
-    // grab the matcher for this action
-    const matcher = allPerms[actionCaseName];
+  /**
+   * Counts the request against the rate limit of its action, if it has one, responding with a
+   * 429 if the limit has been exceeded (unless we're only reporting).
+   *
+   * @returns {Promise<boolean>} Resolves with whether a response has been sent.
+   */
+  async _runRateLimitPhase(req, res, context) {
+    const { actionConfig } = context;
+    if (!actionConfig.rateLimit) {
+      return false;
+    }
+    context.phase = 'rateLimit';
 
-    if (!matcher) {
-      this.sails.log.warn('[sails-hook-stockade]', `Found no entry for "${actionCaseName}" in the \`permissions\` block of the "${controllerIdent}" controller. The request has been forbidden by default.`);
-      return res.forbidden(RESPONSES.badConfig);
+    let rateLimitRes = null;
+    try {
+      rateLimitRes = await checkRateLimit(req, context.action, actionConfig.rateLimit, this._getRateLimitStore());
+    } catch (err) {
+      // don't turn every request away just because the store is down, or some key function broke
+      this.sails.log.error('[sails-hook-stockade]', `Error occurred while checking the rate limit for "${context.action}", so the request has been let through:`, err);
+    }
+    this._endPhase(context, 'rateLimit');
+    if (!rateLimitRes || rateLimitRes.hasPassed) {
+      return false;
     }
 
-    // ====================================================
-    // Begin Joi / Waterline params validation
-    // ====================================================
+    this._emitContextEvent('rateLimited', req, context, Object.assign({ reported: context.isReportMode }, rateLimitRes));
+    if (context.isReportMode) {
+      this._reportFailure(context, 'rateLimited', 'Rate limit exceeded', rateLimitRes);
+      return false;
+    }
+    this._countContextOutcome(context, 'rateLimited');
+    const ErrorService = ErrorsHelper.getErrorService();
+    this._sendTooManyRequests(req, res, {
+      type: 'tooManyRequests',
+      status: 429,
+      action: context.action,
+      error: this._wrapErrors([ErrorService.createError('rateLimitedError', undefined, 429, { limit: rateLimitRes.limit, resetAt: rateLimitRes.resetAt })], 'tooManyRequests'),
+      explanations: [],
+      details: [],
+    }, rateLimitRes);
+    return true;
+  }
 
-    try {
-      // extract and merge all validations for this controller, if any
-      const marlinValidations = marlinConfig.validations || marlinConfig.params;
-      const naturalValidations = (controller instanceof Object) ? controller.validations || controller.params : {};
-      const allValidations = Object.assign({}, naturalValidations, marlinValidations);
+  /**
+   * Runs the Joi and Waterline validations of the request parameters, responding with a 400
+   * if they fail (unless we're only reporting).
+   *
+   * @returns {Promise<boolean>} Resolves with whether a response has been sent.
+   */
+  async _runParamsPhase(req, res, context) {
+    const { actionConfig } = context;
+    const ErrorService = ErrorsHelper.getErrorService();
+    context.phase = 'params';
 
-      // Extract any potential schema for the action.
-      const actionSchema = allValidations[actionCaseName];
+    // pick the schema fitting the permissions passed, where the action chooses its schema by them
+    const passedValidations = context.permissions ? context.permissions.passedValidations : [];
+    const schema = selectPermissionSchema(actionConfig.schema, passedValidations);
 
+    let paramValidationError = null;
+    try {
       // Try and validate our request parameters...
-      // If this succeeds we can simply continue on to validating against Stockade permissions.
+      // If this succeeds we can simply continue on with the rest of the pipeline.
       await requestParamValidator(req, {
-        name: actionCaseName,
-        path: fullActionPath,
-        rawAction: action,
-      }, actionSchema);
-    } catch (paramValidationError) {
-      // Upon error, send out a fitting server error response.
-      // If we've the error service loaded and the error wasn't generated from it, simply throw instead.
-      if (ErrorService && !ErrorService.isError(paramValidationError)) {
-        throw paramValidationError;
+        name: actionConfig.name,
+        path: context.action,
+        rawAction: context.rawAction,
+      }, schema, context.timings);
+    } catch (err) {
+      paramValidationError = err;
+    }
+    this._endPhase(context, 'params');
+
+    if (!paramValidationError) {
+      return false;
+    }
+    // If the error wasn't generated from our error service, simply throw instead.
+    if (!ErrorService.isError(paramValidationError) && !ErrorService.isErrorGroup(paramValidationError)) {
+      throw paramValidationError;
+    }
+    // Else send a simple bad request response (unless we're only reporting).
+    this._emitContextEvent('paramsRejected', req, context, { error: paramValidationError, reported: context.isReportMode });
+    if (context.isReportMode) {
+      this._reportFailure(context, 'paramsRejected', 'Parameter validation failed', paramValidationError);
+      return false;
+    }
+    this._countContextOutcome(context, 'badRequest');
+    const paramErrors = ErrorService.isErrorGroup(paramValidationError) ? paramValidationError.errors : [paramValidationError];
+    res.badRequest(this._formatError({
+      type: 'badRequest',
+      status: 400,
+      action: context.action,
+      error: this._wrapErrors(paramErrors, 'badRequest'),
+      explanations: [],
+      details: ErrorsHelper.describeParamErrors(paramValidationError),
+    }, req, res));
+    return true;
+  }
+
+  /**
+   * Validates the request against the Stockade permission matcher of its action, responding
+   * with a 403 if it fails (unless we're only reporting). The result is kept as the
+   * `permissions` of the context.
+   *
+   * @returns {Promise<boolean>} Resolves with whether a response has been sent.
+   */
+  async _runPermissionsPhase(req, res, context) {
+    const { actionConfig } = context;
+    context.phase = 'permissions';
+
+    const validationRes = await Permissions.validate(req, actionConfig.matcher);
+    context.permissions = validationRes;
+    this._endPhase(context, 'permissions');
+    const validationDetails = {
+      failedValidations: validationRes.failedValidations.filter(v => v.explanation).map(v => v.explanation),
+      thrownErrors: validationRes.thrownErrors,
+    };
+    if (validationRes.hasPassed) {
+      this._emitContextEvent('allowed', req, context, validationDetails);
+    } else {
+      this._emitContextEvent('denied', req, context, Object.assign({ reported: context.isReportMode }, validationDetails));
+      // if we've some errors, log them...
+      if (validationRes.thrownErrors.length > 0) {
+        this.sails.log.error('[sails-hook-stockade]', 'Errors were thrown during request validation:');
+        validationRes.thrownErrors.forEach((e, i) => {
+          this.sails.log.error('[sails-hook-stockade]', `#${i + 1})`, e);
+        });
       }
-      // Else send a simple bad request response.
-      return res.badRequest(paramValidationError);
+      if (!context.isReportMode) {
+        this._countContextOutcome(context, 'denied');
+        res.forbidden(this._formatError({
+          type: 'forbidden',
+          status: 403,
+          action: context.action,
+          error: this._collectFails(validationRes.failedValidations),
+          explanations: validationDetails.failedValidations,
+          details: [],
+        }, req, res));
+        return true;
+      }
+      this._reportFailure(context, 'denied', 'Permission validation failed', validationDetails.failedValidations);
+    }
+    return false;
+  }
+
+  /**
+   * Validates the request against the matchers of any parameters given, stripping those denied
+   * or responding with a 403 (unless we're only reporting). Run once both the params and
+   * permissions phases are done, so denied parameters can be stripped from
+   * `req.validatedParams`.
+   *
+   * @returns {Promise<boolean>} Resolves with whether a response has been sent.
+   */
+  async _runParamPermissionsPhase(req, res, context) {
+    const { actionConfig } = context;
+    if (!actionConfig.paramPermissions) {
+      return false;
+    }
+    context.phase = 'paramPermissions';
+    const deniedParams = await this._checkParamPermissions(req, actionConfig);
+    this._endPhase(context, 'paramPermissions');
+    if (deniedParams.length === 0) {
+      return false;
+    }
+
+    const deniedExplanations = [].concat(...deniedParams.map(p => p.failedValidations)).filter(v => v.explanation).map(v => v.explanation);
+    this._emitContextEvent('paramsDenied', req, context, {
+      params: deniedParams.map(p => ({ name: p.name, onDenied: p.onDenied })),
+      failedValidations: deniedExplanations,
+      thrownErrors: [].concat(...deniedParams.map(p => p.thrownErrors)),
+      reported: context.isReportMode,
+    });
+    if (context.isReportMode) {
+      this._reportFailure(context, 'paramsDenied', 'Parameter permission validation failed', deniedParams.map(p => p.name));
+      return false;
+    }
+    deniedParams.filter(p => p.onDenied === 'strip').forEach(p => stripValidatedParam(req, p.name));
+    const forbiddenParams = deniedParams.filter(p => p.onDenied === 'forbid');
+    if (forbiddenParams.length === 0) {
+      return false;
+    }
+    this._countContextOutcome(context, 'denied');
+    const failedValidations = [].concat(...forbiddenParams.map(p => p.failedValidations));
+    res.forbidden(this._formatError({
+      type: 'forbidden',
+      status: 403,
+      action: context.action,
+      error: this._collectFails(failedValidations),
+      explanations: failedValidations.filter(v => v.explanation).map(v => v.explanation),
+      details: [],
+    }, req, res));
+    return true;
+  }
+
+  /**
+   * Runs the action itself, guarding any response payloads it sends where it has response
+   * schemas. The action's result is kept as the `result` of the context.
+   */
+  async _runActionPhase(req, res, context) {
+    const { actionConfig } = context;
+    context.phase = 'action';
+
+    // validate any response payloads sent by the action, if we've schemas for them
+    guardResponses(res, { name: actionConfig.name, path: context.action, rawAction: context.rawAction }, actionConfig.responseSchemas, {
+      enforce: this._getResponseValidationMode() === 'enforce',
+      log: this.sails.log,
+      invalidResponse: this._getResponses().invalidResponse,
+    });
+
+    context.result = await context.rawAction(req, res);
+    this._endPhase(context, 'action');
+    this._countContextOutcome(context, 'allowed');
+  }
+
+  /**
+   * Records the time taken by the given phase of a request, along with the total so far, and
+   * starts timing the next phase. The latency of any phase we keep metrics for is recorded,
+   * where params are split into their Joi and Waterline parts.
+   */
+  _endPhase(context, phase) {
+    const { timings } = context;
+    timings[phase] = msSince(context._phaseStartedAt);
+    timings.total = msSince(context._startedAt);
+    context._phaseStartedAt = process.hrtime();
+    if (this._metrics) {
+      ((phase === 'params') ? ['joi', 'waterline'] : [phase])
+        .filter(p => MetricsCollector.PHASES.includes(p) && (typeof timings[p] === 'number'))
+        .forEach(p => this._metrics.observe(context.action, p, timings[p]));
+    }
+  }
+
+  /**
+   * Emits an audit event for the request of the given context, along with the timings of
+   * each phase so far.
+   */
+  _emitContextEvent(eventName, req, context, details) {
+    this._emitAuditEvent(eventName, req, context.actionConfig, Object.assign({ timings: Object.assign({}, context.timings) }, details));
+  }
+
+  /**
+   * Counts a request to the given action as having the given outcome, if metrics are being
+   * collected.
+   */
+  _countOutcome(actionPath, outcome) {
+    if (this._metrics) {
+      this._metrics.countOutcome(actionPath, outcome);
     }
+  }
 
-    // ====================================================
-    // End Joi / Waterline params validation
-    // ====================================================
+  /**
+   * Counts the request of the given context as having the given outcome, unless it has been
+   * counted already, so that every request is counted under just one outcome.
+   */
+  _countContextOutcome(context, outcome) {
+    if (!context._isCounted) {
+      context._isCounted = true;
+      this._countOutcome(context.action, outcome);
+    }
+  }
 
-    // ====================================================
-    // Begin Stockade permission validation
-    // ====================================================
+  /**
+   * Counts and logs a failure let through while in report mode.
+   */
+  _reportFailure(context, kind, message, details) {
+    const counts = this._reportCounts[context.action] || (this._reportCounts[context.action] = { denied: 0, paramsRejected: 0, paramsDenied: 0, rateLimited: 0 });
+    counts[kind]++;
+    this.sails.log.warn('[sails-hook-stockade]', `[report mode] ${message} for "${context.action}", though the action will still run:`, details);
+  }
 
+  /**
+   * Emits a Stockade audit event on `sails`, named `stockade:<eventName>`. Possible events are:
+   *
+   * - 'allowed': The request passed permission validation and the action will be run.
+   * - 'denied': The request failed permission validation and has been forbidden.
+   * - 'paramsRejected': The request parameters failed validation.
+   * - 'paramsDenied': Some request parameters failed their `_config.paramPermissions`
+   * matchers, and have been stripped or forbidden.
+   * - 'rateLimited': The request exceeded the rate limit of the action.
+   * - 'actionError': An error was thrown, either during validation or by the action itself.
+   *
+   * Failures let through while in report mode are still emitted as 'denied',
+   * 'paramsRejected', 'paramsDenied' and 'rateLimited' events, though with the `reported`
+   * flag set.
+   *
+   * Every event carries the action path, a description of the matcher, the request id, the
+   * request itself and the timings of each phase so far, along with any event details.
+   *
+   * Listeners are called in turn, with any error they throw (or promise they reject) logged
+   * rather than affecting the request or the listeners after them.
+   *
+   * @param {string} eventName - Name of the event, without the `stockade:` prefix.
+   * @param {SailsRequest} req - The request which the event concerns.
+   * @param {ResolvedActionConfig} actionConfig - The config resolved for the action invoked.
+   * @param {Object} details - Any additional event details, such as `failedValidations`,
+   * `thrownErrors`, `error` or `phase`.
+   */
+  _emitAuditEvent(eventName, req, actionConfig, details) {
+    const name = `stockade:${eventName}`;
+    const logFailure = (err) => this.sails.log.error('[sails-hook-stockade]', `An audit listener for "${name}" failed, though the request was left as-is:`, err);
+
+    // call each listener ourselves rather than through `sails.emit(...)`, so that one which throws (or rejects) can
+    // neither stop those after it, nor change the response to the request being audited
     try {
-      Permissions.validate(req, matcher).then(validationRes => {
-        if (!validationRes.hasPassed) {
-          // if we've some errors, log them...
-          if (validationRes.thrownErrors.length > 0) {
-            this.sails.log.error('[sails-hook-stockade]', 'Errors were thrown during request validation:');
-            validationRes.thrownErrors.forEach((e, i) => {
-              this.sails.log.error('[sails-hook-stockade]', `#${i + 1})`, e);
-            });
-          }
-          return res.forbidden(this._collectFails(validationRes.failedValidations));
-        }
+      const event = Object.assign({
+        event: eventName,
+        action: actionConfig.path,
+        matcher: describeMatcher(actionConfig.matcher),
+        requestId: req.id || (req.headers && req.headers['x-request-id']),
+        req,
+      }, details);
+      this.sails.rawListeners(name).forEach(listener => {
         try {
-          return (action.constructor.name !== 'AsyncFunction') ? action(req, res) : action(req, res).catch(e => {
-            if (!res.headersSent) {
-              res.serverError(e);
-            }
-            // If we've floatplane-hook-error installed, don't bother logging here, as it should handle logging (no double-logging please!).
-            if (ErrorService) {
-              return;
-            }
-            return this.sails.log.error('[sails-hook-stockade]', `Error executing action "${fullActionPath}":`, e);
-          });
-        } catch (e) {
-          if (!res.headersSent) {
-            res.serverError(e);
+          const result = listener.call(this.sails, event);
+          if (result && (typeof result.then === 'function')) {
+            result.then(undefined, logFailure);
           }
-          return this.sails.log.error('[sails-hook-stockade]', `Error executing action "${fullActionPath}":`, e);
+        } catch (err) {
+          logFailure(err);
         }
-      }).catch(err => {
-        throw err;
       });
     } catch (err) {
-      this.sails.log.error('[sails-hook-stockade]', 'Error occurred during request validation:', err);
-      return res.serverError(err);
+      logFailure(err);
     }
-    // ====================================================
-    // End Stockade permission validation
-    // ====================================================
+  }
 
+  /**
+   * Returns the response validation mode in use, either 'enforce' or 'report', according to
+   * the `responseValidation` setting and the current environment.
+   */
+  _getResponseValidationMode() {
+    const mode = this.sails.config.stockade.responseValidation;
+    if ((mode === 'enforce') || (mode === 'report')) {
+      return mode;
+    }
+    return (this.sails.config.environment === 'production') ? 'report' : 'enforce';
+  }
+
+  /**
+   * Validates the matchers given in `_config.paramPermissions` for every parameter of the
+   * request which has been set, returning those parameters which have been denied.
+   *
+   * @param {SailsRequest} req - The request to check.
+   * @param {ResolvedActionConfig} actionConfig - The config resolved for the action invoked.
+   *
+   * @returns {Promise<Object[]>} Resolves with an entry per denied parameter, of form
+   * `{ name, onDenied, failedValidations, thrownErrors }`. The failed validations always end
+   * with a `paramPermissionError` naming the parameter.
+   */
+  async _checkParamPermissions(req, actionConfig) {
+    const ErrorService = ErrorsHelper.getErrorService();
+    const defaultOnDenied = this.sails.config.stockade.onParamDenied;
+    const entries = actionConfig.paramPermissions;
+    const names = Object.keys(entries).filter(name => hasParam(req, name));
+
+    const results = await Promise.all(names.map(name => Permissions.validate(req, entries[name].matcher)));
+    return names.map((name, i) => ({ name, result: results[i] }))
+      .filter(({ result }) => !result.hasPassed)
+      .map(({ name, result }) => {
+        if (result.thrownErrors.length > 0) {
+          this.sails.log.error('[sails-hook-stockade]', `Errors were thrown during permission validation of the "${name}" parameter:`, result.thrownErrors);
+        }
+        const errorKey = makeParamErrorKey(actionConfig.path, [name], 'paramPermission');
+        return {
+          name,
+          onDenied: entries[name].onDenied || defaultOnDenied,
+          failedValidations: result.failedValidations.concat({
+            name: `param:${name}`,
+            explanation: ErrorService.createError('paramPermissionError', errorKey, 403, { param: name })
+              .defaultMessage(`You are not permitted to set the "${name}" parameter.`),
+          }),
+          thrownErrors: result.thrownErrors,
+        };
+      });
+  }
+
+  /**
+   * Returns the store which rate limits should be counted in, being that given by the
+   * `rateLimitStore` setting or the built-in memory store otherwise.
+   */
+  _getRateLimitStore() {
+    const store = this.sails.config.stockade.rateLimitStore;
+    if ((store instanceof Object) && (typeof store.increment === 'function')) {
+      return store;
+    }
+    if (!this._memoryStore) {
+      this._memoryStore = new MemoryStore();
+    }
+    return this._memoryStore;
+  }
+
+  /**
+   * Sends a 429 response for a request exceeding its rate limit, telling the client when to
+   * retry through the `Retry-After` header. Uses any `res.tooManyRequests` custom response
+   * where one has been defined.
+   *
+   * @param {SailsRequest} req - The rejected request.
+   * @param {SailsResponse} res - The response to send.
+   * @param {StockadeFailure} failure - Describes the rejected request.
+   * @param {RateLimitResult} rateLimitRes - The rate limit result for the request.
+   */
+  _sendTooManyRequests(req, res, failure, rateLimitRes) {
+    if (typeof res.set === 'function') {
+      res.set('Retry-After', String(Math.max(0, Math.ceil((rateLimitRes.resetAt - Date.now()) / 1000))));
+    }
+    const payload = this._formatError(failure, req, res);
+    if (typeof res.tooManyRequests === 'function') {
+      return res.tooManyRequests(payload);
+    }
+    return res.status(429).json(payload);
+  }
+
+  /**
+   * Formats the payload sent for a rejected request, according to the `formatError` setting.
+   *
+   * @param {StockadeFailure} failure - Describes the rejected request.
+   * @param {SailsRequest} req - The rejected request.
+   * @param {SailsResponse} res - The response about to be sent.
+   */
+  _formatError(failure, req, res) {
+    const formatError = this.sails.config.stockade.formatError;
+    const formatter = (formatError === 'problem+json') ? problemJson : formatError;
+    return (typeof formatter === 'function') ? formatter(failure, req, res) : failure.error;
   }
 
   /**
    * A helper function used in processing the results of any failed validations, returning
    * a value acceptable for passing to res.forbidden.
    *
-   * If the floatplane-hook-error is loaded, then all errors which aren't already FloatplaneError
-   * objects will be wrapped up as such, and grouped if there are more than one.
-   *
    * @param {Object[]} failedValidations - A list of failed validations as received from
    * Stockade.
    */
   _collectFails(failedValidations) {
-    const ErrorService = ErrorsHelper.tryGetErrorService();
-
     if (!Array.isArray(failedValidations)) {
-      return ErrorService ? [] : { errors: [] };
+      return [];
     }
 
+    // Extract just our explanations, as that's all we're really interested in wrapping.
+    return this._wrapErrors(failedValidations.filter(v => v.explanation).map(v => v.explanation), 'forbidden');
+  }
+
+  /**
+   * Wraps the given errors as per the `wrapErrors` option.
+   *
+   * All errors which aren't already error service errors (created either by the
+   * floatplane-hook-error, or the built-in error service where it isn't installed) will be
+   * wrapped up as such, and grouped if there are more than one.
+   *
+   * @param {Array} explanations - The errors to wrap, being either permission explanations
+   * or parameter validation errors.
+   * @param {string} type - The kind of failure, either 'forbidden', 'badRequest' or
+   * 'tooManyRequests'.
+   */
+  _wrapErrors(explanations, type) {
+    const ErrorService = ErrorsHelper.getErrorService();
+
     // All the different types of error wrappers supported, used as per the `wrapErrors` option.
     const errorWrappers = {
       all(errors) {
-        // If we've no proper ErrorService, simply return the explanations as they are.
-        if (!ErrorService) {
-          return errors;
-        }
-        // Ensure all errors are wrapped as FloatplaneError objects and return.
+        // Ensure all errors are wrapped as error service errors and return.
         return errors.map(e => {
           if (ErrorService.isError(e)) {
             return e;
@@ -285,21 +1173,15 @@ module.exports = class SailsHookStockade {
         });
       },
       first(errors) {
-        // If we've a proper ErrorService, try finding a FloatplaneError to take precedence as first.
-        if (ErrorService) {
-          const fpError = errors.find(e => ErrorService.isError(e));
-          if (fpError) {
-            return [fpError];
-          }
+        // Try finding an error service error to take precedence as first.
+        const fpError = errors.find(e => ErrorService.isError(e));
+        if (fpError) {
+          return [fpError];
         }
         // Simply handle wrapping the first error as necessary.
         return this.all(errors.slice(0, 1));
       },
       notLoggedIn(errors) {
-        // If we've no proper ErrorService, then return the explanations as-is.
-        if (!ErrorService) {
-          return errors;
-        }
         // Try and find our not-logged in error.
         const notLoggedInError = errors.find(e => ErrorService.isError(e) && (e.name === 'notLoggedInError'));
         if (notLoggedInError instanceof Object) {
@@ -312,15 +1194,15 @@ module.exports = class SailsHookStockade {
 
     // Pull out our Stockade configuration object.
     const stockadeConfig = this.sails.config && this.sails.config.stockade;
-    // Extract just our explanations, as that's all we're really interested in wrapping.
-    const explanations = failedValidations.filter(v => v.explanation).map(v => v.explanation);
     // Find our wrap function to use, if any.
-    const wrap = errorWrappers[stockadeConfig.wrapErrors];
+    const wrap = (typeof stockadeConfig.wrapErrors === 'function')
+      ? errors => [].concat(stockadeConfig.wrapErrors(errors, { type, ErrorService }) || [])
+      : errorWrappers[stockadeConfig.wrapErrors];
     // Wrap all explanations, or if there is no wrapper, simply use them as-is.
-    const errors = wrap ? wrap(explanations) : explanations;
+    const errors = wrap ? wrap.call(errorWrappers, explanations) : explanations;
 
-    // If we've the floatplane-hook-error installed, we should group or return directly any wrapped error.
-    if (wrap && ErrorService) {
+    // If we've wrapped our errors, we should group or return directly any wrapped error.
+    if (wrap) {
       // Catch the case where there somehow are no errors (wot o.o?)
       if (errors.length === 0) {
         return [];
@@ -332,3 +1214,53 @@ module.exports = class SailsHookStockade {
   }
 
 };
+
+/**
+ * Returns whether the named parameter has been set for the given request, either as
+ * validated or as a raw parameter.
+ */
+function hasParam(req, name) {
+  if ((req.validatedParams instanceof Object) && (typeof req.validatedParams[name] !== 'undefined')) {
+    return true;
+  }
+  return (typeof req.param === 'function') && (typeof req.param(name) !== 'undefined');
+}
+
+/**
+ * Removes the named parameter from the validated parameters of the given request, including
+ * from any validated request source (such as `req.validatedParams.body`).
+ */
+function stripValidatedParam(req, name) {
+  if (!(req.validatedParams instanceof Object)) {
+    return;
+  }
+  delete req.validatedParams[name];
+  ['body', 'query', 'params', 'headers'].forEach(source => {
+    if (req.validatedParams[source] instanceof Object) {
+      delete req.validatedParams[source][name];
+    }
+  });
+}
+
+/**
+ * Validates the given pipeline steps of a stage, returning a description of what's wrong with
+ * them, or `null` if they're valid.
+ */
+function describeStepIssue(stage, steps) {
+  if (!PIPELINE_STAGES.includes(stage)) {
+    return `Expected the pipeline stage to be one of ${PIPELINE_STAGES.map(s => `'${s}'`).join(', ')}, but instead found: ${stage}`;
+  }
+  const badStep = steps.find(step => typeof step !== 'function');
+  if (typeof badStep !== 'undefined') {
+    return `Expected each \`${stage}\` pipeline step to be a function, but instead found: (${typeof badStep}) ${badStep}`;
+  }
+  return null;
+}
+
+/**
+ * Returns the number of milliseconds elapsed since the given `process.hrtime()` result.
+ */
+function msSince(start) {
+  const diff = process.hrtime(start);
+  return (diff[0] * 1e3) + (diff[1] / 1e6);
+}
@@ -0,0 +1,194 @@
+
+// Classes and fat modules.
+const Permissions = require('stockade');
+const ErrorsHelper = require('../helper/errors');
+
+// Helper functions.
+const buildRequest = require('../helper/buildRequest');
+const describeMatcher = require('../helper/describeMatcher');
+const { summariseMatcher } = require('../helper/describeMatcher');
+const requestParamValidator = require('../validations/requestParamValidator');
+const { extractSubschema, isPermissionSchema, selectPermissionSchema } = require('../validations/requestParamValidator');
+
+/**
+ * Describes the guard configuration of every action registered with the app, as resolved for
+ * requests: the permission matcher after merging the natural and marlin configs, the
+ * validation schemas, and whether the action has been patched yet.
+ *
+ * @param {Object} hook - The Stockade hook, used to resolve (or reuse) each action config.
+ *
+ * @returns {Object[]} An entry per action, sorted by action identity, of form
+ * `{ action, patched, matcher, summary, source, mode, phaseOrder, schema, paramPermissions, issue }`.
+ */
+function describeActions(hook) {
+  const actions = hook.sails._actions || {};
+  return Object.keys(actions)
+    .filter(identity => typeof actions[identity] === 'function')
+    .sort()
+    .map(identity => {
+      const actionConfig = hook._getActionConfig(actions[identity], identity);
+      return {
+        action: identity,
+        patched: !!actions[identity]._aclHookPatch,
+        matcher: describeMatcher(actionConfig.matcher),
+        summary: summariseMatcher(actionConfig.matcher) || null,
+        source: actionConfig.matcherSource || null,
+        mode: actionConfig.mode || hook.sails.config.stockade.mode,
+        phaseOrder: actionConfig.phaseOrder || hook.sails.config.stockade.phaseOrder,
+        schema: describeSchema(actionConfig.schema),
+        paramPermissions: describeParamPermissions(actionConfig.paramPermissions),
+        issue: actionConfig.issue ? { type: actionConfig.issue.type, message: actionConfig.issue.message } : null,
+      };
+    });
+}
+
+/**
+ * Explains how the hook would handle a simulated request to the named action, running its
+ * parameter validations, permission matcher and any parameter permissions just as for a real
+ * request, though without counting the request against any rate limit or running the action.
+ * Every step is run even where an earlier one fails, so all failures can be seen at once.
+ * Parameters and permissions are validated in the phase order of the action.
+ *
+ * @param {Object} hook - The Stockade hook.
+ * @param {Object} simulation - Describes the request, of form `{ action, ...request }` where
+ * `action` is the action identity (such as 'user/getinfo') and the request is described by
+ * any of `params`, `routeParams`, `query`, `body`, `headers`, `cookies`, `session` and `user`.
+ *
+ * @returns {Promise<Object>} Resolves with the explanation, of form
+ * `{ action, allowed, matcher, summary, source, issue, params, permissions, paramPermissions }`,
+ * or `null` if no such action exists. `permissions` lists the `passedValidations` and
+ * `failedValidations` of each provider method, along with any `thrownErrors`.
+ */
+async function explainRequest(hook, simulation) {
+  simulation = (simulation instanceof Object) ? simulation : {};
+  const identity = String(simulation.action || '').toLowerCase();
+  const action = (hook.sails._actions || {})[identity];
+  if (typeof action !== 'function') {
+    return null;
+  }
+
+  const actionConfig = hook._getActionConfig(action, identity);
+  const out = {
+    action: identity,
+    allowed: false,
+    matcher: describeMatcher(actionConfig.matcher),
+    summary: summariseMatcher(actionConfig.matcher) || null,
+    source: actionConfig.matcherSource || null,
+    issue: actionConfig.issue ? { type: actionConfig.issue.type, message: actionConfig.issue.message } : null,
+    params: null,
+    permissions: null,
+    paramPermissions: null,
+  };
+  // without a usable config, the request would be turned away before any validation
+  if (actionConfig.issue) {
+    return out;
+  }
+
+  // only take the fields which describe the request, so nothing else can be slipped onto it
+  const { params, routeParams, query, body, headers, cookies, session, user } = simulation;
+  const req = buildRequest(hook.sails, { params, routeParams, query, body, headers, cookies, session, user });
+
+  const validateParams = async () => {
+    // any schema chosen by permission outcome falls back on its '*' entry until permissions have run
+    const passedValidations = out.permissions ? out.permissions.passedValidations : [];
+    const schema = selectPermissionSchema(actionConfig.schema, passedValidations);
+    try {
+      await requestParamValidator(req, { name: actionConfig.name, path: actionConfig.path, rawAction: action }, schema);
+      out.params = { hasPassed: true, errors: [], validatedParams: req.validatedParams };
+    } catch (err) {
+      const ErrorService = ErrorsHelper.getErrorService();
+      if (!ErrorService.isError(err) && !ErrorService.isErrorGroup(err)) {
+        throw err;
+      }
+      out.params = { hasPassed: false, errors: ErrorsHelper.describeParamErrors(err) };
+    }
+  };
+  const validatePermissions = async () => {
+    const validationRes = await Permissions.validate(req, actionConfig.matcher);
+    out.permissions = {
+      hasPassed: validationRes.hasPassed,
+      passedValidations: validationRes.passedValidations || [],
+      failedValidations: validationRes.failedValidations,
+      thrownErrors: validationRes.thrownErrors.map(describeThrownError),
+    };
+  };
+
+  // run each in the same order as a real request would
+  const phaseOrder = actionConfig.phaseOrder || hook.sails.config.stockade.phaseOrder;
+  const phases = (phaseOrder === 'permissionsFirst') ? [validatePermissions, validateParams] : [validateParams, validatePermissions];
+  for (const phase of phases) {
+    await phase();
+  }
+
+  if (actionConfig.paramPermissions) {
+    const deniedParams = await hook._checkParamPermissions(req, actionConfig);
+    out.paramPermissions = deniedParams.map(p => ({
+      name: p.name,
+      onDenied: p.onDenied,
+      failedValidations: p.failedValidations,
+      thrownErrors: p.thrownErrors.map(describeThrownError),
+    }));
+  }
+
+  out.allowed = out.params.hasPassed && out.permissions.hasPassed
+    && !(out.paramPermissions || []).some(p => p.onDenied === 'forbid');
+  return out;
+}
+
+/**
+ * Describes the given validation schema (as from `_config.validations`) as plain JSON, with
+ * each Joi schema described through `describe()`. Schemas chosen by permission outcome are
+ * described as `{ byPermission }`, holding the description of each.
+ */
+function describeSchema(schema) {
+  if (!schema) {
+    return null;
+  }
+  if (isPermissionSchema(schema)) {
+    return {
+      byPermission: Object.keys(schema.byPermission).reduce((acc, name) => {
+        acc[name] = describeSchema(schema.byPermission[name]);
+        return acc;
+      }, {}),
+    };
+  }
+  const { joiSchema, joiSchemaOpts, sourceSchemas, waterlineSchema } = extractSubschema(schema);
+  return {
+    joi: joiSchema ? joiSchema.describe() : null,
+    joiOptions: joiSchemaOpts,
+    sources: Object.keys(sourceSchemas).reduce((acc, source) => {
+      acc[source] = sourceSchemas[source].joiSchema.describe();
+      return acc;
+    }, {}),
+    waterline: waterlineSchema,
+  };
+}
+
+/**
+ * Describes the given normalised `_config.paramPermissions` entries as plain JSON.
+ */
+function describeParamPermissions(paramPermissions) {
+  if (!paramPermissions) {
+    return null;
+  }
+  return Object.keys(paramPermissions).reduce((acc, name) => {
+    acc[name] = {
+      matcher: describeMatcher(paramPermissions[name].matcher),
+      onDenied: paramPermissions[name].onDenied || null,
+    };
+    return acc;
+  }, {});
+}
+
+/**
+ * Describes an error thrown by a permission provider as plain JSON, as `Error` instances
+ * otherwise serialise to an empty object.
+ */
+function describeThrownError(err) {
+  return (err instanceof Error) ? { name: err.name, message: err.message } : err;
+}
+
+module.exports = {
+  describeActions,
+  explainRequest,
+};
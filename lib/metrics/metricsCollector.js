@@ -0,0 +1,145 @@
+
+/**
+ * Upper bounds of the latency histogram buckets, in seconds.
+ */
+const DEFAULT_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Outcomes counted per action, in the order they're listed.
+ */
+const OUTCOMES = ['allowed', 'denied', 'badRequest', 'rateLimited', 'error'];
+
+/**
+ * Phases of handling a request which have their latency recorded, in the order they're
+ * listed.
+ */
+const PHASES = ['joi', 'waterline', 'permissions', 'action'];
+
+/**
+ * Collects per-action request metrics, being counts of each request outcome and latency
+ * histograms of each phase of handling a request. Metrics are kept in memory per process, and
+ * may be rendered in the Prometheus text exposition format.
+ */
+class MetricsCollector {
+  /**
+   * @param {number[]} [buckets] - Upper bounds of the latency histogram buckets, in seconds.
+   */
+  constructor(buckets) {
+    this._buckets = (Array.isArray(buckets) ? buckets : DEFAULT_BUCKETS).slice().sort((a, b) => a - b);
+    // Counts of each outcome, keyed by action path, each of form `{ [outcome]: count }`.
+    this._outcomes = new Map();
+    // Latency histograms, keyed by action path then phase, each of form `{ counts, sum, count }`.
+    this._durations = new Map();
+  }
+
+  /**
+   * Counts a request to the given action as having the given outcome.
+   *
+   * @param {string} action - Full path of the action requested.
+   * @param {string} outcome - One of 'allowed', 'denied', 'badRequest', 'rateLimited' or
+   * 'error'.
+   */
+  countOutcome(action, outcome) {
+    let counts = this._outcomes.get(action);
+    if (!counts) {
+      counts = {};
+      this._outcomes.set(action, counts);
+    }
+    counts[outcome] = (counts[outcome] || 0) + 1;
+  }
+
+  /**
+   * Records the time taken by a phase of handling a request to the given action.
+   *
+   * @param {string} action - Full path of the action requested.
+   * @param {string} phase - One of 'joi', 'waterline', 'permissions' or 'action'.
+   * @param {number} ms - The time taken, in milliseconds.
+   */
+  observe(action, phase, ms) {
+    let phases = this._durations.get(action);
+    if (!phases) {
+      phases = {};
+      this._durations.set(action, phases);
+    }
+    const histogram = phases[phase] || (phases[phase] = { counts: this._buckets.map(() => 0), sum: 0, count: 0 });
+    const seconds = ms / 1000;
+    this._buckets.forEach((bound, i) => {
+      if (seconds <= bound) {
+        histogram.counts[i]++;
+      }
+    });
+    histogram.sum += seconds;
+    histogram.count++;
+  }
+
+  /**
+   * Clears every metric collected.
+   */
+  reset() {
+    this._outcomes.clear();
+    this._durations.clear();
+  }
+
+  /**
+   * Renders every metric collected in the Prometheus text exposition format, as
+   * `stockade_requests_total` counters labelled by `action` and `outcome`, and
+   * `stockade_phase_duration_seconds` histograms labelled by `action` and `phase`.
+   *
+   * @returns {string}
+   */
+  toPrometheus() {
+    const lines = [
+      '# HELP stockade_requests_total Requests handled by the Stockade hook, by action and outcome.',
+      '# TYPE stockade_requests_total counter',
+    ];
+    sortedKeys(this._outcomes).forEach(action => {
+      const counts = this._outcomes.get(action);
+      OUTCOMES.filter(outcome => counts[outcome]).forEach(outcome => {
+        lines.push(`stockade_requests_total${formatLabels({ action, outcome })} ${counts[outcome]}`);
+      });
+    });
+
+    lines.push(
+      '# HELP stockade_phase_duration_seconds Time taken by each phase of handling a request, by action.',
+      '# TYPE stockade_phase_duration_seconds histogram'
+    );
+    sortedKeys(this._durations).forEach(action => {
+      const phases = this._durations.get(action);
+      PHASES.filter(phase => phases[phase]).forEach(phase => {
+        const histogram = phases[phase];
+        this._buckets.forEach((bound, i) => {
+          lines.push(`stockade_phase_duration_seconds_bucket${formatLabels({ action, phase, le: String(bound) })} ${histogram.counts[i]}`);
+        });
+        lines.push(
+          `stockade_phase_duration_seconds_bucket${formatLabels({ action, phase, le: '+Inf' })} ${histogram.count}`,
+          `stockade_phase_duration_seconds_sum${formatLabels({ action, phase })} ${histogram.sum}`,
+          `stockade_phase_duration_seconds_count${formatLabels({ action, phase })} ${histogram.count}`
+        );
+      });
+    });
+
+    return lines.join('\n') + '\n';
+  }
+}
+
+/**
+ * Returns the keys of the given map, sorted.
+ */
+function sortedKeys(map) {
+  return Array.from(map.keys()).sort();
+}
+
+/**
+ * Formats the given labels as a Prometheus label set, such as `{action="user/getinfo"}`,
+ * escaping any backslashes, quotes and newlines within values.
+ */
+function formatLabels(labels) {
+  const pairs = Object.keys(labels).map(name => {
+    const value = String(labels[name]).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    return `${name}="${value}"`;
+  });
+  return `{${pairs.join(',')}}`;
+}
+
+module.exports = MetricsCollector;
+module.exports.PHASES = PHASES;
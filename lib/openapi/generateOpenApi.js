@@ -0,0 +1,402 @@
+
+// Classes and fat modules.
+const util = require('util');
+
+// Helper functions.
+const describeMatcher = require('../helper/describeMatcher');
+const resolveActionConfig = require('../helper/resolveActionConfig');
+const { extractJoiSchema, extractSubschema, selectPermissionSchema } = require('../validations/requestParamValidator');
+const joiToJsonSchema = require('./joiToJsonSchema');
+
+/**
+ * HTTP verbs which are documented with a request body, rather than with query parameters.
+ */
+const BODY_VERBS = ['post', 'put', 'patch'];
+
+/**
+ * Generates an OpenAPI 3 document describing every routed action of the given Sails app,
+ * using the Joi and Waterline schemas declared in `_config.validations` to describe request
+ * parameters, and the Stockade matchers declared in `_config.permissions` to describe what
+ * each action requires.
+ *
+ * Matchers are attached to each operation through the `x-stockade-permissions` extension.
+ * Actions guarded by `Permissions.none()` are additionally marked as requiring no security,
+ * while actions with no permissions entry at all are documented as always forbidden. Actions
+ * which may forbid setting some parameter are documented with a 403 response too, and actions
+ * with a rate limit with a 429 response.
+ *
+ * Should be called once Sails has lifted, so that all models and actions are loaded.
+ *
+ * @param {Object} sails - The Sails app to generate a document for.
+ * @param {Object} [options] - Extra options used for document generation.
+ * @param {Object} [options.info] - The OpenAPI `info` object to use. Defaults to a basic
+ * title and version.
+ * @param {Object[]} [options.servers] - The OpenAPI `servers` list to use, if any.
+ *
+ * @returns {Object} The generated OpenAPI 3 document.
+ */
+function generateOpenApi(sails, options) {
+  options = (options instanceof Object) ? options : {};
+
+  const doc = {
+    openapi: '3.0.3',
+    info: options.info || { title: 'Sails API', version: '1.0.0' },
+    paths: {},
+  };
+  if (Array.isArray(options.servers)) {
+    doc.servers = options.servers;
+  }
+
+  parseRoutes(sails).forEach(route => {
+    const action = sails._actions[route.action];
+    if (typeof action !== 'function') {
+      return;
+    }
+
+    const actionConfig = resolveActionConfig(sails, action, route.action);
+    // leave out anything that isn't a proper controller action, as we've nothing to say about it
+    if (actionConfig.issue && (actionConfig.issue.type !== 'unguarded')) {
+      return;
+    }
+
+    const pathItem = doc.paths[route.path] || (doc.paths[route.path] = {});
+    pathItem[route.verb] = buildOperation(sails, route, actionConfig);
+  });
+
+  return doc;
+}
+
+/**
+ * Extracts all routes from the given app's config which target some action, converting
+ * each into an object of form `{ verb, path, action }`. The `path` is converted to the
+ * OpenAPI templated form, while `action` is the Sails action identity.
+ */
+function parseRoutes(sails) {
+  const routes = (sails.config && sails.config.routes) || {};
+  const out = [];
+
+  for (const address in routes) {
+    // split the route address into the verb and path (where no verb is given, we'll document it as a GET)
+    const match = /^(?:(\w+)\s+)?(\/\S*)$/.exec(address.trim());
+    // skip any regex or wildcard routes, as they can't be described in the OpenAPI path form
+    if (!match || address.includes('*') || match[2].startsWith('r|')) {
+      continue;
+    }
+    const verb = (match[1] || 'get').toLowerCase();
+    if (verb === 'all') {
+      continue;
+    }
+
+    const actionIdent = getRouteActionIdentity(routes[address]);
+    if (!actionIdent) {
+      continue;
+    }
+
+    out.push({
+      verb,
+      // convert `:param` and `:param?` segments into `{param}`
+      path: match[2].replace(/:(\w+)\??/g, '{$1}'),
+      pathParams: (match[2].match(/:\w+/g) || []).map(p => p.substr(1)),
+      action: actionIdent,
+    });
+  }
+
+  return out;
+}
+
+/**
+ * Resolves the action identity targeted by the given route target, as it would be found in
+ * `sails._actions`. Returns `null` if the target doesn't refer to an action.
+ */
+function getRouteActionIdentity(target) {
+  // pull the action out of any target object, handling the `{ controller, action }` form too
+  if (target instanceof Object) {
+    if (typeof target.action !== 'string') {
+      return null;
+    }
+    if (typeof target.controller === 'string') {
+      target = `${target.controller}.${target.action}`;
+    } else {
+      target = target.action;
+    }
+  }
+  if (typeof target !== 'string') {
+    return null;
+  }
+
+  // handle the classic `UserController.getInfo` form
+  const controllerMatch = /^(.+?)(?:Controller)?\.(\w+)$/.exec(target);
+  if (controllerMatch) {
+    return `${controllerMatch[1]}/${controllerMatch[2]}`.toLowerCase();
+  }
+
+  // otherwise we should have an action identity already, though skip anything that looks like a URL
+  if (target.startsWith('/') || /^\w+:\/\//.test(target)) {
+    return null;
+  }
+  return target.toLowerCase();
+}
+
+/**
+ * Builds the OpenAPI operation object describing the given route and its action config.
+ */
+function buildOperation(sails, route, actionConfig) {
+  const operation = {
+    operationId: route.action,
+    tags: [actionConfig.controllerIdent],
+    parameters: [],
+    responses: {},
+  };
+
+  // describe the permissions guarding this action
+  const matcherDescription = describeMatcher(actionConfig.matcher);
+  operation['x-stockade-permissions'] = matcherDescription;
+  if (matcherDescription && (matcherDescription.method === 'NOP')) {
+    operation.security = [];
+  }
+
+  // build a schema describing all merged params of the action, splitting it into path, query and body params
+  const { paramsSchema, sourceSchemas } = buildParamsSchemas(sails, actionConfig);
+  const properties = Object.assign({}, paramsSchema.properties);
+  const required = paramsSchema.required || [];
+
+  // helper used to add (or replace) a named parameter of the given location
+  const addParameter = (name, location, schema, isRequired) => {
+    operation.parameters = operation.parameters.filter(p => (p.name !== name) || (p.in !== location));
+    operation.parameters.push({ name, in: location, required: isRequired, schema });
+  };
+
+  route.pathParams.forEach(name => {
+    addParameter(name, 'path', properties[name] || { type: 'string' }, true);
+    delete properties[name];
+  });
+
+  if (BODY_VERBS.includes(route.verb)) {
+    if (Object.keys(properties).length > 0) {
+      const bodySchema = Object.assign({}, paramsSchema, { properties });
+      const bodyRequired = required.filter(name => name in properties);
+      if (bodyRequired.length > 0) {
+        bodySchema.required = bodyRequired;
+      } else {
+        delete bodySchema.required;
+      }
+      operation.requestBody = {
+        required: bodyRequired.length > 0,
+        content: { 'application/json': { schema: bodySchema } },
+      };
+    }
+  } else {
+    for (const name in properties) {
+      addParameter(name, 'query', properties[name], required.includes(name));
+    }
+  }
+
+  // handle any schema given for a specific request source, which are always documented in their own location
+  const sourceLocations = { params: 'path', query: 'query', headers: 'header' };
+  for (const source in sourceLocations) {
+    const sourceSchema = sourceSchemas[source];
+    if (!sourceSchema || !sourceSchema.properties) {
+      continue;
+    }
+    for (const name in sourceSchema.properties) {
+      const isRequired = (source === 'params') || (sourceSchema.required || []).includes(name);
+      addParameter(name, sourceLocations[source], sourceSchema.properties[name], isRequired);
+    }
+  }
+  if (sourceSchemas.body) {
+    const existingBody = operation.requestBody && operation.requestBody.content['application/json'].schema;
+    operation.requestBody = {
+      required: (operation.requestBody && operation.requestBody.required) || ((sourceSchemas.body.required || []).length > 0),
+      content: { 'application/json': { schema: existingBody ? { allOf: [existingBody, sourceSchemas.body] } : sourceSchemas.body } },
+    };
+  }
+
+  // describe our possible responses
+  if (!actionConfig.matcher) {
+    operation.responses['403'] = { description: 'Always forbidden, as no permissions are defined for this action.' };
+    return operation;
+  }
+  operation.responses['200'] = { description: 'OK' };
+  if (paramsSchema.properties || (Object.keys(sourceSchemas).length > 0)) {
+    operation.responses['400'] = { description: 'The request parameters failed validation.' };
+  }
+  if (!operation.security) {
+    operation.responses['403'] = { description: 'The request failed permission validation.' };
+  }
+  // (even actions open to anyone may forbid setting some parameter without permission)
+  const paramPermissions = actionConfig.paramPermissions || {};
+  const defaultOnDenied = ((sails.config && sails.config.stockade) || {}).onParamDenied || 'forbid';
+  const forbiddenParams = Object.keys(paramPermissions).filter(name => (paramPermissions[name].onDenied || defaultOnDenied) === 'forbid');
+  if (!operation.responses['403'] && (forbiddenParams.length > 0)) {
+    operation.responses['403'] = { description: `Permission to set a parameter was denied: ${forbiddenParams.join(', ')}.` };
+  }
+  if (actionConfig.rateLimit) {
+    operation.responses['429'] = {
+      description: 'Too many requests have been made, with the `Retry-After` header giving the seconds to wait before retrying.',
+      headers: { 'Retry-After': { schema: { type: 'integer' } } },
+    };
+  }
+
+  // describe any response payloads given a schema in `_config.responses`
+  const responseSchemas = (actionConfig.responseSchemas instanceof Object) ? actionConfig.responseSchemas : {};
+  for (const statusCode in responseSchemas) {
+    const { joiSchema } = extractJoiSchema(responseSchemas[statusCode]);
+    operation.responses[statusCode] = Object.assign({ description: 'OK' }, operation.responses[statusCode], {
+      content: { 'application/json': { schema: joiToJsonSchema(joiSchema) } },
+    });
+  }
+
+  return operation;
+}
+
+/**
+ * Builds an object JSON schema describing all merged parameters accepted by the action,
+ * merging any Joi schema with the Waterline attributes referenced by any Waterline schema.
+ * Any Joi schema given for a specific request source is converted separately. Where the
+ * schema is chosen by permission outcome, its `'*'` entry is documented.
+ *
+ * @returns {Object} An object of form `{ paramsSchema, sourceSchemas }`, where the latter
+ * holds a schema for each request source which has one.
+ */
+function buildParamsSchemas(sails, actionConfig) {
+  const { joiSchema, sourceSchemas, waterlineSchema } = extractSubschema(selectPermissionSchema(actionConfig.schema, []));
+  const schema = joiSchema ? joiToJsonSchema(joiSchema) : { type: 'object' };
+
+  if (waterlineSchema) {
+    for (const paramName in waterlineSchema) {
+      const wlParamSchema = waterlineValidationToJsonSchema(sails, actionConfig, paramName, waterlineSchema[paramName]);
+      attachWaterlineSchema(schema, paramName, wlParamSchema);
+    }
+  }
+
+  const convertedSourceSchemas = {};
+  for (const source in sourceSchemas) {
+    convertedSourceSchemas[source] = joiToJsonSchema(sourceSchemas[source].joiSchema);
+  }
+
+  return { paramsSchema: schema, sourceSchemas: convertedSourceSchemas };
+}
+
+/**
+ * Attaches the JSON schema of a Waterline validation to the given object schema, at the
+ * place described by the Waterline schema key. Keys may be dotted paths (such as
+ * `profile.displayName`) with `[]` suffixed segments stepping into array items (such as
+ * `links[].url`), so any object and array schema along the way is created as needed.
+ */
+function attachWaterlineSchema(schema, paramKey, wlParamSchema) {
+  const segments = paramKey.split('.');
+  let node = schema;
+  segments.forEach((segment, i) => {
+    const isArray = segment.endsWith('[]');
+    const name = isArray ? segment.slice(0, -2) : segment;
+    const isLast = (i === segments.length - 1);
+    node.properties = node.properties || {};
+
+    // at the end of the path, merge in the Waterline schema with anything Joi has already described
+    if (isLast && !isArray) {
+      node.properties[name] = node.properties[name] ? { allOf: [node.properties[name], wlParamSchema] } : wlParamSchema;
+      return;
+    }
+
+    if (isArray) {
+      node.properties[name] = node.properties[name] || { type: 'array' };
+      const arraySchema = node.properties[name];
+      if (isLast) {
+        arraySchema.items = arraySchema.items ? { allOf: [arraySchema.items, wlParamSchema] } : wlParamSchema;
+        return;
+      }
+      arraySchema.items = arraySchema.items || { type: 'object' };
+      node = arraySchema.items;
+    } else {
+      node.properties[name] = node.properties[name] || { type: 'object' };
+      node = node.properties[name];
+    }
+  });
+}
+
+/**
+ * Converts a single Waterline validation definition (such as `'User.username'`,
+ * `{ or: ['User.username', 'User.email'] }` or `{ exists: 'Playlist.id' }`) into a JSON schema.
+ */
+function waterlineValidationToJsonSchema(sails, actionConfig, paramName, validation) {
+  if (typeof validation === 'string') {
+    return waterlineAttributeToJsonSchema(sails, actionConfig, paramName, validation);
+  }
+  if ((validation instanceof Object) && Array.isArray(validation.or)) {
+    return { anyOf: validation.or.map(v => waterlineValidationToJsonSchema(sails, actionConfig, paramName, v)) };
+  }
+  if ((validation instanceof Object) && Array.isArray(validation.and)) {
+    return { allOf: validation.and.map(v => waterlineValidationToJsonSchema(sails, actionConfig, paramName, v)) };
+  }
+  // existence and uniqueness checks are described by the attribute they query
+  if ((validation instanceof Object) && ((typeof validation.exists === 'string') || (typeof validation.unique === 'string'))) {
+    return waterlineAttributeToJsonSchema(sails, actionConfig, paramName, validation.exists || validation.unique);
+  }
+  throw new Error(`Invalid Waterline validation specified for action "${actionConfig.path}". Expected either an object with key "or", "and", "exists" or "unique", or a string, but instead found: ${util.inspect(validation)}`);
+}
+
+/**
+ * Converts the model attribute referenced by the given identity (such as `'User.username'`)
+ * into a JSON schema, according to the attribute type and validations.
+ */
+function waterlineAttributeToJsonSchema(sails, actionConfig, paramName, ident) {
+  const fragments = String(ident).split('.');
+  const model = (fragments.length === 2) && sails.models && sails.models[fragments[0].toLowerCase()];
+  const attribute = model && model.attributes && model.attributes[fragments[1]];
+  if (!(attribute instanceof Object)) {
+    throw new Error(`Invalid Waterline validation specified for parameter "${paramName}" or action "${actionConfig.path}". Could not find the model attribute for ${util.inspect(ident)}.`);
+  }
+
+  // validations may be found either on the attribute itself or, once normalised, within `validations`
+  const rules = Object.assign({}, attribute, attribute.validations);
+  const out = {};
+
+  switch (attribute.type) {
+    case 'string':
+    case 'number':
+    case 'boolean':
+      out.type = attribute.type;
+      break;
+    default:
+      // 'json' and 'ref' attributes may hold anything
+      break;
+  }
+  if (rules.isInteger) {
+    out.type = 'integer';
+  }
+  if (Array.isArray(rules.isIn)) {
+    out.enum = rules.isIn;
+  }
+  if (typeof rules.minLength === 'number') {
+    out.minLength = rules.minLength;
+  }
+  if (typeof rules.maxLength === 'number') {
+    out.maxLength = rules.maxLength;
+  }
+  if (typeof rules.min === 'number') {
+    out.minimum = rules.min;
+  }
+  if (typeof rules.max === 'number') {
+    out.maximum = rules.max;
+  }
+  if (rules.regex instanceof RegExp) {
+    out.pattern = rules.regex.source;
+  }
+  if (rules.isEmail) {
+    out.format = 'email';
+  } else if (rules.isURL) {
+    out.format = 'uri';
+  } else if (rules.isUUID) {
+    out.format = 'uuid';
+  }
+  if (attribute.allowNull) {
+    out.nullable = true;
+  }
+  if (typeof attribute.description === 'string') {
+    out.description = attribute.description;
+  }
+
+  return out;
+}
+
+module.exports = generateOpenApi;
@@ -0,0 +1,175 @@
+
+/**
+ * Converts a Joi schema into an OpenAPI 3 flavoured JSON schema object. Conversion is best
+ * effort: rules with no JSON schema counterpart are simply dropped, while the type and any
+ * supported constraints are kept.
+ *
+ * @param {Object} joiSchema - A constructed Joi schema.
+ *
+ * @returns {Object} The converted schema object.
+ */
+function joiToJsonSchema(joiSchema) {
+  return convertDescription(joiSchema.describe());
+}
+
+/**
+ * Helper used to pull the arguments of a named rule from a Joi schema description, returning
+ * `undefined` where the rule isn't present.
+ */
+function getRuleArgs(desc, ruleName) {
+  const rule = (desc.rules || []).find(r => r.name === ruleName);
+  if (!rule) {
+    return undefined;
+  }
+  return rule.args || {};
+}
+
+/**
+ * Converts a single Joi schema description (as from `schema.describe()`) into a JSON schema.
+ *
+ * @param {Object} desc - The Joi schema description.
+ *
+ * @returns {Object} The converted schema object.
+ */
+function convertDescription(desc) {
+  const flags = desc.flags || {};
+  const out = {};
+
+  switch (desc.type) {
+    case 'string': {
+      out.type = 'string';
+      const formats = { email: 'email', uri: 'uri', guid: 'uuid', isoDate: 'date-time', hostname: 'hostname', ip: 'ip' };
+      (desc.rules || []).forEach(rule => {
+        const args = rule.args || {};
+        if (formats[rule.name]) {
+          out.format = formats[rule.name];
+        } else if (rule.name === 'min') {
+          out.minLength = args.limit;
+        } else if (rule.name === 'max') {
+          out.maxLength = args.limit;
+        } else if (rule.name === 'length') {
+          out.minLength = args.limit;
+          out.maxLength = args.limit;
+        } else if (rule.name === 'pattern') {
+          // strip the regex delimiters and flags, as JSON schema patterns are plain strings
+          out.pattern = String(args.regex).replace(/^\/(.*)\/[a-z]*$/, '$1');
+        } else if (rule.name === 'hex') {
+          out.pattern = '^[a-fA-F0-9]*$';
+        } else if (rule.name === 'alphanum') {
+          out.pattern = '^[a-zA-Z0-9]*$';
+        }
+      });
+      break;
+    }
+    case 'number': {
+      out.type = getRuleArgs(desc, 'integer') ? 'integer' : 'number';
+      const min = getRuleArgs(desc, 'min');
+      const max = getRuleArgs(desc, 'max');
+      const greater = getRuleArgs(desc, 'greater');
+      const less = getRuleArgs(desc, 'less');
+      if (min) {
+        out.minimum = min.limit;
+      }
+      if (max) {
+        out.maximum = max.limit;
+      }
+      if (greater) {
+        out.minimum = greater.limit;
+        out.exclusiveMinimum = true;
+      }
+      if (less) {
+        out.maximum = less.limit;
+        out.exclusiveMaximum = true;
+      }
+      break;
+    }
+    case 'boolean':
+      out.type = 'boolean';
+      break;
+    case 'date':
+      out.type = 'string';
+      out.format = 'date-time';
+      break;
+    case 'binary':
+      out.type = 'string';
+      out.format = 'binary';
+      break;
+    case 'array': {
+      out.type = 'array';
+      const items = (desc.items || []).map(convertDescription);
+      if (items.length === 1) {
+        out.items = items[0];
+      } else if (items.length > 1) {
+        out.items = { anyOf: items };
+      } else {
+        out.items = {};
+      }
+      const min = getRuleArgs(desc, 'min');
+      const max = getRuleArgs(desc, 'max');
+      const length = getRuleArgs(desc, 'length');
+      if (min || length) {
+        out.minItems = (min || length).limit;
+      }
+      if (max || length) {
+        out.maxItems = (max || length).limit;
+      }
+      break;
+    }
+    case 'object': {
+      out.type = 'object';
+      if (desc.keys) {
+        out.properties = {};
+        const required = [];
+        for (const key in desc.keys) {
+          const keyFlags = desc.keys[key].flags || {};
+          // forbidden keys can't be documented as properties, so skip them
+          if (keyFlags.presence === 'forbidden') {
+            continue;
+          }
+          out.properties[key] = convertDescription(desc.keys[key]);
+          if (keyFlags.presence === 'required') {
+            required.push(key);
+          }
+        }
+        if (required.length > 0) {
+          out.required = required;
+        }
+      }
+      out.additionalProperties = flags.unknown === true;
+      break;
+    }
+    case 'alternatives':
+      out.anyOf = (desc.matches || []).filter(m => m.schema).map(m => convertDescription(m.schema));
+      break;
+    default:
+      // 'any' and other unknown types are left untyped
+      break;
+  }
+
+  // handle any allowed values, treating them as an enum where they're the only values permitted
+  if (Array.isArray(desc.allow)) {
+    const values = desc.allow.filter(v => (v === null) || (typeof v !== 'object'));
+    if (values.includes(null)) {
+      out.nullable = true;
+    }
+    const nonNull = values.filter(v => v !== null);
+    if (flags.only && (nonNull.length > 0)) {
+      out.enum = nonNull;
+    }
+  }
+
+  if (typeof flags.description === 'string') {
+    out.description = flags.description;
+  }
+  if ((typeof flags.default !== 'undefined') && (typeof flags.default !== 'function')) {
+    out.default = flags.default;
+  }
+  if (Array.isArray(desc.examples) && (desc.examples.length > 0)) {
+    out.example = desc.examples[0];
+  }
+
+  return out;
+}
+
+module.exports = joiToJsonSchema;
+module.exports.convertDescription = convertDescription;
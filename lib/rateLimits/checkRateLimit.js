@@ -0,0 +1,92 @@
+
+/**
+ * Functions pulling the client key from a request, for each built-in `key` option.
+ */
+const KEYS = {
+  ip: req => req.ip,
+  // fall back to the IP where nobody is logged in, so anonymous requests are still limited
+  user: (req) => {
+    const user = req.user || req.me;
+    const userId = (user instanceof Object) ? user.id : user;
+    const sessionUserId = (req.session instanceof Object) ? req.session.userId : undefined;
+    const id = (typeof userId !== 'undefined') ? userId : sessionUserId;
+    return (typeof id !== 'undefined') ? `user:${id}` : `ip:${req.ip}`;
+  },
+};
+
+/**
+ * @typedef {Object} RateLimitResult - Describes a request counted against a rate limit.
+ * @property {boolean} hasPassed - Whether the request is within the limit.
+ * @property {number} limit - The number of requests allowed per window.
+ * @property {number} count - The number of requests counted within the current window.
+ * @property {number} resetAt - When the current window ends, in milliseconds since the epoch.
+ * @property {string} tier - The tier the limit was picked for, if any.
+ */
+
+/**
+ * Validates the given rate limit rule, as given in a `_config.rateLimits` block, returning a
+ * description of what's wrong with it, or `null` if it's valid.
+ *
+ * @param {*} rule - The rule to validate.
+ *
+ * @returns {string}
+ */
+function describeRuleIssue(rule) {
+  if (!(rule instanceof Object)) {
+    return `Expected a rate limit of form \`{ limit, window }\`, but instead found: (${typeof rule}) ${rule}`;
+  }
+  if ((typeof rule.window !== 'number') || !(rule.window > 0)) {
+    return `Expected the rate limit \`window\` to be a positive number of milliseconds, but instead found: ${rule.window}`;
+  }
+  const limits = (rule.limit instanceof Object) ? Object.values(rule.limit) : [rule.limit];
+  if (!limits.every(l => (typeof l === 'number') && (l >= 0))) {
+    return `Expected the rate limit \`limit\` to be a number, or an object of numbers keyed by tier, but instead found: ${JSON.stringify(rule.limit)}`;
+  }
+  if ((rule.limit instanceof Object) && (typeof rule.tier !== 'function')) {
+    return 'Expected a `tier` function to be given along with a rate limit `limit` keyed by tier.';
+  }
+  if ((typeof rule.key !== 'undefined') && !KEYS[rule.key] && (typeof rule.key !== 'function')) {
+    return `Expected the rate limit \`key\` to be 'ip', 'user' or a function, but instead found: ${rule.key}`;
+  }
+  return null;
+}
+
+/**
+ * Counts the given request against a rate limit rule, as given in a `_config.rateLimits`
+ * block. Requests are counted per action and per client, where the client is identified
+ * according to the `key` of the rule.
+ *
+ * @param {SailsRequest} req - The request to count.
+ * @param {string} actionPath - Full path of the action requested.
+ * @param {Object} rule - The rate limit rule, of form `{ limit, window, key, tier }`.
+ * @param {Object} store - The store to count requests in, such as a `MemoryStore`.
+ *
+ * @returns {Promise<RateLimitResult>} Resolves with the result, or `null` where the request
+ * isn't subject to any limit (such as for a tier with no limit of its own).
+ */
+async function checkRateLimit(req, actionPath, rule, store) {
+  // pick the limit for the tier of the request, falling back to any 'default' tier limit
+  let limit = rule.limit;
+  let tier;
+  if (limit instanceof Object) {
+    tier = await rule.tier(req);
+    limit = (typeof limit[tier] === 'number') ? limit[tier] : limit.default;
+  }
+  if (typeof limit !== 'number') {
+    return null;
+  }
+
+  const clientKey = (typeof rule.key === 'function') ? await rule.key(req) : KEYS[rule.key || 'ip'](req);
+  const { count, resetAt } = await store.increment(`${actionPath}:${clientKey}`, rule.window);
+
+  return {
+    hasPassed: count <= limit,
+    limit,
+    count,
+    resetAt,
+    tier,
+  };
+}
+
+module.exports = checkRateLimit;
+module.exports.describeRuleIssue = describeRuleIssue;
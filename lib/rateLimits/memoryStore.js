@@ -0,0 +1,74 @@
+
+/**
+ * How often expired windows are swept from a memory store, in milliseconds.
+ */
+const PRUNE_INTERVAL = 60 * 1000;
+
+/**
+ * The built-in rate limit store, counting requests within fixed windows held in memory.
+ * Counts are kept per process, so a shared store (such as one backed by Redis) should be used
+ * wherever an app runs across more than one process.
+ *
+ * Any store given through the `stockade.rateLimitStore` setting must implement the same
+ * `increment(key, windowMs)` method, which may return a promise.
+ */
+class MemoryStore {
+  constructor() {
+    // Windows currently being counted, keyed by limit key, each of form `{ count, resetAt }`.
+    this._windows = new Map();
+    this._prunedAt = Date.now();
+  }
+
+  /**
+   * Counts a request against the given key, starting a new window if none is running.
+   *
+   * @param {string} key - The key to count the request against.
+   * @param {number} windowMs - Length of any new window, in milliseconds.
+   *
+   * @returns {Promise<Object>} Resolves with the current window, of form `{ count, resetAt }`
+   * where `resetAt` is the time (in milliseconds since the epoch) the window ends.
+   */
+  async increment(key, windowMs) {
+    const now = Date.now();
+    this._prune(now);
+
+    let window = this._windows.get(key);
+    if (!window || (window.resetAt <= now)) {
+      window = { count: 0, resetAt: now + windowMs };
+      this._windows.set(key, window);
+    }
+    window.count++;
+    return { count: window.count, resetAt: window.resetAt };
+  }
+
+  /**
+   * Clears every window held, or just that of the given key.
+   *
+   * @param {string} [key] - The key to clear.
+   */
+  async reset(key) {
+    if (typeof key === 'undefined') {
+      this._windows.clear();
+    } else {
+      this._windows.delete(key);
+    }
+  }
+
+  /**
+   * Drops any expired windows, at most once per prune interval, so keys which are never seen
+   * again don't build up.
+   */
+  _prune(now) {
+    if ((now - this._prunedAt) < PRUNE_INTERVAL) {
+      return;
+    }
+    this._prunedAt = now;
+    this._windows.forEach((window, key) => {
+      if (window.resetAt <= now) {
+        this._windows.delete(key);
+      }
+    });
+  }
+}
+
+module.exports = MemoryStore;
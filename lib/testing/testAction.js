@@ -0,0 +1,182 @@
+
+// Classes and fat modules.
+const EventEmitter = require('events');
+const SailsHookStockade = require('../hook');
+
+// Helper functions.
+const { AUDIT_EVENTS } = require('../audit/jsonLinesSink');
+const buildRequest = require('../helper/buildRequest');
+const { isActionDefinition } = require('../helper/findActionDefinition');
+const { describeParamErrors } = require('../helper/errors');
+
+/**
+ * @typedef {Object} TestActionResult - The outcome of running an action through the hook's
+ * validation pipeline.
+ * @property {string} outcome - One of 'allowed' (the action would have run), 'denied' (the
+ * request was forbidden), 'badRequest' (the request parameters failed validation),
+ * 'rateLimited' (the request exceeded the rate limit of the action) or 'error' (the request
+ * could not be handled, such as for a bad config).
+ * @property {boolean} allowed - Whether the action would have run.
+ * @property {number} status - The status code which would have been sent, or 200 if the action
+ * would have run.
+ * @property {*} body - The payload which would have been sent, if the action wasn't run.
+ * @property {Array} explanations - The explanations of any failed permission validations,
+ * including those of any parameters denied by `_config.paramPermissions`.
+ * @property {Array} thrownErrors - Any errors thrown by permission providers.
+ * @property {Object[]} details - The Joi error details, for a 'badRequest' outcome. Each
+ * is of form `{ message, path, type, key }`.
+ * @property {Object} validatedParams - The sanitised parameters, as would be assigned to
+ * `req.validatedParams`.
+ * @property {Object[]} events - All audit events emitted while handling the request.
+ * @property {Object[]} logs - All log calls made while handling the request, as arrays of
+ * form `[level, ...args]`.
+ * @property {SailsRequest} req - The fake request built.
+ */
+
+/**
+ * Runs the param validation and Stockade permission pipeline used by the hook against the
+ * given controller action, without lifting Sails and without running the action itself.
+ *
+ * @param {Object} controller - The controller module, holding a `_config` object along with
+ * the actions themselves. May instead be an actions2 (machine-style) action definition, such
+ * as the export of `api/controllers/user/get-info.js`.
+ * @param {string} actionName - The name of the action, as cased within the controller (or the
+ * file name of an actions2 action, such as 'get-info').
+ * @param {Object} [options] - Describes the fake request along with the environment.
+ * @param {Object} [options.params] - Parameters of the request. These make up the merged
+ * parameters, along with any `routeParams`, `query` and `body`.
+ * @param {Object} [options.routeParams] - Route parameters, as from `req.params`.
+ * @param {Object} [options.query] - Query string parameters, as from `req.query`.
+ * @param {Object} [options.body] - Body parameters, as from `req.body`.
+ * @param {Object} [options.headers] - Request headers, with lowercase names.
+ * @param {Object} [options.cookies] - Request cookies.
+ * @param {Object} [options.session] - The request session.
+ * @param {Object} [options.user] - The requesting user, assigned to both `req.user` and
+ * `req.me`.
+ * @param {Object} [options.req] - Any other fields which should be assigned to the request.
+ * @param {string} [options.controllerIdent] - The controller identity, used in building the
+ * action path. Defaults to 'test'.
+ * @param {Object} [options.config] - Stockade settings to use, merged over the defaults.
+ * @param {Object} [options.models] - Models used by Waterline validations, keyed by identity.
+ *
+ * @returns {Promise<TestActionResult>}
+ */
+async function testAction(controller, actionName, options) {
+  options = (options instanceof Object) ? options : {};
+
+  const definition = isActionDefinition(controller) ? controller : null;
+  if (!definition && (!(controller instanceof Object) || (typeof controller[actionName] !== 'function'))) {
+    throw new Error(`Expected the given controller to hold an action named "${actionName}", but no such function was found.`);
+  }
+
+  const controllerIdent = options.controllerIdent || 'test';
+  const actionPath = `${controllerIdent}/${actionName.toLowerCase()}`;
+
+  // Build up just enough of a Sails app for the hook to work with.
+  const logs = [];
+  const sails = new EventEmitter();
+  sails.log = {};
+  ['error', 'warn', 'debug', 'info', 'verbose', 'silly'].forEach(level => {
+    sails.log[level] = (...args) => logs.push([level, ...args]);
+  });
+  sails.models = options.models || {};
+  sails.config = {
+    environment: 'test',
+    blueprints: { _controllers: definition ? {} : { [controllerIdent]: controller._config || {} } },
+  };
+  const hook = new SailsHookStockade(sails);
+  sails.config.stockade = Object.assign({}, hook.defaults().stockade, options.config);
+
+  // Initialise the hook just as Sails would, so settings are checked and anything they ask for (such as pipeline
+  // steps, metrics or an audit sink) is set up, then lower our app once done so nothing is left open.
+  await new Promise((resolve, reject) => hook.initialize(err => (err ? reject(err) : resolve())));
+  try {
+    return await runAction(sails, hook, { definition, actionName, actionPath, options, logs });
+  } finally {
+    sails.emit('lower');
+  }
+}
+
+/**
+ * Runs a fake request to the given action through the initialised hook, collecting the
+ * outcome along with every audit event emitted.
+ *
+ * @returns {Promise<TestActionResult>}
+ */
+async function runAction(sails, hook, { definition, actionName, actionPath, options, logs }) {
+  // Collect all audit events emitted.
+  const events = [];
+  AUDIT_EVENTS.forEach(name => sails.on(`stockade:${name}`, event => events.push(event)));
+
+  const req = buildRequest(sails, options);
+
+  // Run through the hook pipeline, settling as soon as a response is sent or our stand-in action is reached.
+  const result = await new Promise((resolve, reject) => {
+    const settle = (outcome, status, body) => resolve({ outcome, status, body });
+    const res = buildResponse(settle);
+
+    // Our stand-in action: we only want to know whether the real action would have run.
+    const action = function () {
+      return settle('allowed', 200, undefined);
+    };
+    Object.defineProperty(action, 'name', { value: actionName });
+    action._middlewareType = `ACTION: ${actionPath}`;
+    // as with the request handlers Sails builds from actions2 definitions, expose the definition
+    if (definition) {
+      action.toJSON = () => definition;
+    }
+
+    // Errors thrown while validating won't always be responded to, so settle on them directly.
+    sails.on('stockade:actionError', event => settle('error', 500, event.error));
+
+    hook._executeActionWrapped(req, res, action, actionPath).catch(reject);
+  });
+
+  const validation = events.find(e => (e.event === 'denied') || (e.event === 'allowed')) || {};
+  const rejection = events.find(e => e.event === 'paramsRejected') || {};
+  const paramDenial = events.find(e => e.event === 'paramsDenied') || {};
+
+  return Object.assign(result, {
+    allowed: result.outcome === 'allowed',
+    explanations: (validation.failedValidations || []).concat(paramDenial.failedValidations || []),
+    thrownErrors: (validation.thrownErrors || []).concat(paramDenial.thrownErrors || []),
+    details: describeParamErrors(rejection.error),
+    validatedParams: req.validatedParams,
+    events,
+    logs,
+    req,
+  });
+}
+
+/**
+ * Builds a fake response, calling `settle(outcome, status, body)` once any response is sent.
+ */
+function buildResponse(settle) {
+  const res = {
+    statusCode: 200,
+    headersSent: false,
+  };
+  const respond = (outcome, status) => (body) => {
+    res.headersSent = true;
+    return settle(outcome, status, body);
+  };
+  res.forbidden = respond('denied', 403);
+  res.badRequest = respond('badRequest', 400);
+  res.serverError = respond('error', 500);
+  res.notFound = respond('error', 404);
+  res.ok = respond('allowed', 200);
+  res.status = (statusCode) => {
+    res.statusCode = statusCode;
+    return res;
+  };
+  res.json = (body) => {
+    const outcome = (res.statusCode < 400) ? 'allowed' : ((res.statusCode === 429) ? 'rateLimited' : 'error');
+    return respond(outcome, res.statusCode)(body);
+  };
+  res.send = res.json;
+  res.set = () => res;
+  res.type = () => res;
+  return res;
+}
+
+module.exports = testAction;
@@ -0,0 +1,304 @@
+
+// Classes and fat modules.
+const Joi = require('joi');
+const ErrorsHelper = require('../helper/errors');
+
+// Helper functions.
+const resolveActionConfig = require('../helper/resolveActionConfig');
+const { extractSubschema, isPermissionSchema, parseWaterlineSchema, makeParamErrorKey } = require('./requestParamValidator');
+
+/**
+ * Error types which may be raised by a schema of the given Joi type whatever its rules, on
+ * top of the `<type>.base` error raised for values of the wrong type.
+ */
+const TYPE_ERRORS = {
+  alternatives: ['alternatives.match', 'alternatives.types'],
+  number: ['number.infinity', 'number.unsafe'],
+  string: ['string.empty'],
+};
+
+/**
+ * Error types raised by Joi rules whose errors aren't simply named `<type>.<rule>`.
+ */
+const RULE_ERRORS = {
+  'array.sort': ['array.sort', 'array.sort.mismatching', 'array.sort.unsupported'],
+  'string.pattern': ['string.pattern.base', 'string.pattern.name', 'string.pattern.invert.base', 'string.pattern.invert.name'],
+};
+
+/**
+ * A value of each Joi type passing its base validation, so that a custom rule raising some
+ * error of the type may be reached. Strings are given a placeholder in place of the value
+ * validated, as some messages (such as that of `string.pattern.base`) repeat it.
+ */
+const SAMPLE_VALUES = {
+  alternatives: 'value',
+  any: 'value',
+  array: [],
+  binary: Buffer.alloc(0),
+  boolean: true,
+  date: new Date(0),
+  function: () => {},
+  number: 0,
+  object: {},
+  string: '{{#value}}',
+  symbol: Symbol('value'),
+};
+
+/**
+ * Context handed to the errors raised for their message templates, giving each context value
+ * as its own placeholder, such as `{{#limit}}`.
+ */
+const PLACEHOLDER_CONTEXT = new Proxy({}, {
+  get: (target, key) => (((typeof key !== 'string') || (key in Object.prototype)) ? Object.prototype[key] : makePlaceholder(key)),
+  has: () => true,
+});
+
+/**
+ * Makes the placeholder of the named context value, being a string rendered as `{{#<name>}}`
+ * whose own fields are placeholders too (so `{{#error.message}}` is rendered as itself).
+ */
+function makePlaceholder(name) {
+  return new Proxy(new String(`{{#${name}}}`), {
+    get: (target, key) => {
+      if ((typeof key !== 'string') || (key in String.prototype) || /^\d+$/.test(key)) {
+        return (typeof target[key] === 'function') ? target[key].bind(target) : target[key];
+      }
+      return makePlaceholder(`${name}.${key}`);
+    },
+  });
+}
+
+/**
+ * The message templates found for each error type of each Joi type, keyed by
+ * `<Joi type>:<error type>`, holding `null` for error types the Joi type doesn't define.
+ */
+const templateCache = new Map();
+
+/**
+ * Builds a catalogue of every i18n key which parameter validation may produce for the actions
+ * of the given Sails app, mapped to the default message used where no translation exists.
+ * Intended to be diffed against localisation files (such as in CI), so that missing or stale
+ * translations can be caught.
+ *
+ * Keys are listed for Joi validations (for every rule of every schema, including nested
+ * ones), existence and uniqueness checks, and parameter permissions, along with Waterline
+ * attribute validations where the Floatplane Errors hook (which keys those itself) isn't
+ * present. Where an action chooses its schema by permission outcome, keys are listed for every
+ * schema it may choose. Joi messages are given as templates with the label filled in, so other
+ * placeholders (such as `{{#limit}}`) are left as-is. Keys depending on the names of the
+ * parameters sent (as for `object.unknown`, or keys matched by `object.pattern(...)`) can't be
+ * known ahead of time, so are left out.
+ *
+ * Should be called once Sails has lifted, so that all models and actions are loaded.
+ *
+ * @param {Object} sails - The Sails app to build a catalogue for.
+ *
+ * @returns {Object} The default message of each key, sorted by key.
+ *
+ * @example
+ * // {
+ * //   'user.update.links.url.string.uri': '"links[].url" must be a valid uri',
+ * //   'user.update.username.any.required': '"username" is required',
+ * //   ...
+ * // }
+ * buildErrorCatalogue(sails);
+ */
+function buildErrorCatalogue(sails) {
+  const catalogue = {};
+
+  Object.keys(sails._actions || {})
+    .filter(identity => typeof sails._actions[identity] === 'function')
+    .forEach(identity => {
+      const actionConfig = resolveActionConfig(sails, sails._actions[identity], identity);
+      // leave out anything that can't be served, as it'll never get as far as validation
+      if (actionConfig.issue && (actionConfig.issue.type !== 'unguarded')) {
+        return;
+      }
+      const add = (path, rule, message) => {
+        catalogue[makeParamErrorKey(actionConfig.path, path, rule)] = message;
+      };
+
+      const schemas = isPermissionSchema(actionConfig.schema) ? Object.values(actionConfig.schema.byPermission) : [actionConfig.schema];
+      schemas.forEach(schema => {
+        const { joiSchema, joiSchemaOpts, sourceSchemas, waterlineSchema } = extractSubschema(schema);
+        if (joiSchema) {
+          collectJoiErrors(joiSchema.describe(), [], '', joiSchemaOpts, add);
+        }
+        Object.keys(sourceSchemas).forEach(source => {
+          const { joiSchema: sourceSchema, joiSchemaOpts: sourceSchemaOpts } = sourceSchemas[source];
+          collectJoiErrors(sourceSchema.describe(), [source], '', sourceSchemaOpts, add);
+        });
+        if (waterlineSchema) {
+          collectWaterlineErrors(actionConfig, waterlineSchema, add);
+        }
+      });
+
+      Object.keys(actionConfig.paramPermissions || {}).forEach(name => {
+        add([name], 'paramPermission', `You are not permitted to set the "${name}" parameter.`);
+      });
+    });
+
+  return Object.keys(catalogue).sort().reduce((acc, key) => {
+    acc[key] = catalogue[key];
+    return acc;
+  }, {});
+}
+
+/**
+ * Adds every error which may be raised by the given Joi schema description (as from
+ * `schema.describe()`), along with those of any nested schemas.
+ *
+ * @param {Object} desc - The Joi schema description.
+ * @param {string[]} path - Path of the value validated by the schema, without array indexes.
+ * @param {string} label - Label of the value as used by Joi messages, such as `links[].url`.
+ * @param {Object} opts - The Joi validation options used with the schema, if any.
+ * @param {Function} add - Called as `add(path, rule, message)` for every error.
+ * @param {Object} [messages] - Messages inherited from the preferences of parent schemas.
+ */
+function collectJoiErrors(desc, path, label, opts, add, messages) {
+  opts = opts || {};
+  const flags = desc.flags || {};
+  messages = Object.assign({}, messages, pickStringMessages(opts.messages), pickStringMessages(desc.preferences && desc.preferences.messages));
+  const allowed = desc.allow || [];
+
+  const addError = (type, message) => {
+    const name = flags.label || label || 'value';
+    const template = message || messages[type] || getMessageTemplate(desc.type, type);
+    if (typeof template === 'string') {
+      add(path, type, template.replace(/\{\{?#label\}?\}/g, `"${name}"`));
+    }
+  };
+
+  // errors raised whatever the rules of the schema
+  addError(`${desc.type}.base`);
+  (TYPE_ERRORS[desc.type] || []).forEach(type => {
+    // strings allowed to be empty won't raise `string.empty`, nor will numbers flagged as unsafe raise `number.unsafe`
+    if (((type === 'string.empty') && allowed.includes('')) || ((type === 'number.unsafe') && flags.unsafe)) {
+      return;
+    }
+    addError(type);
+  });
+  const presence = flags.presence || opts.presence;
+  if (presence === 'required') {
+    addError('any.required');
+  } else if (presence === 'forbidden') {
+    addError('any.unknown');
+  }
+  if (flags.only) {
+    addError('any.only');
+  }
+  if (Array.isArray(desc.invalid) && (desc.invalid.length > 0)) {
+    addError('any.invalid');
+  }
+
+  // errors raised by each rule, where a rule may raise several (such as `string.pattern.base` and `string.pattern.name`)
+  (desc.rules || []).forEach(rule => {
+    const prefix = `${desc.type}.${rule.name}`;
+    const types = (RULE_ERRORS[prefix] || [prefix]).filter(type => getMessageTemplate(desc.type, type));
+    if ((types.length === 0) && getMessageTemplate(desc.type, `any.${rule.name}`)) {
+      types.push(`any.${rule.name}`);
+    }
+    const ruleMessage = (rule.message instanceof Object) ? rule.message.template : rule.message;
+    types.forEach(type => addError(type, (typeof ruleMessage === 'string') ? ruleMessage : undefined));
+  });
+
+  // then step into any nested schemas
+  if (desc.keys instanceof Object) {
+    Object.keys(desc.keys).forEach(key => {
+      collectJoiErrors(desc.keys[key], path.concat(key), label ? `${label}.${key}` : key, opts, add, messages);
+    });
+  }
+  if (Array.isArray(desc.items)) {
+    // a single item schema reports its own errors, while several report whether any matched
+    if (desc.items.length > 1) {
+      addError('array.includes');
+    }
+    desc.items.forEach(item => collectJoiErrors(item, path, `${label}[]`, opts, add, messages));
+  }
+  [].concat(desc.matches || [], desc.whens || []).forEach(match => {
+    [match.schema, match.then, match.otherwise]
+      .concat(...(match.switch || []).map(s => [s.then, s.otherwise]))
+      .filter(schema => schema instanceof Object)
+      .forEach(schema => collectJoiErrors(schema, path, label, opts, add, messages));
+  });
+}
+
+/**
+ * Adds every error which may be raised by the given Waterline schema.
+ *
+ * @param {ResolvedActionConfig} actionConfig - Config of the action the schema belongs to.
+ * @param {Object} wlSchema - The Waterline schema.
+ * @param {Function} add - Called as `add(path, rule, message)` for every error.
+ */
+function collectWaterlineErrors(actionConfig, wlSchema, add) {
+  // with the Floatplane Errors hook present, attribute validation errors are keyed by the hook itself
+  const keysAttributeErrors = !ErrorsHelper.tryGetErrorService();
+
+  parseWaterlineSchema(actionConfig, wlSchema).forEach(({ paramKey, validations }) => {
+    const path = paramKey.split('.').map(segment => segment.replace(/\[\]$/, ''));
+    validations.forEach(validation => {
+      if (typeof validation === 'string') {
+        if (keysAttributeErrors) {
+          add(path, 'waterline', ErrorsHelper.DEFAULT_MESSAGES.paramValidationError);
+        }
+        return;
+      }
+      const rule = (typeof validation.exists === 'string') ? 'exists' : 'unique';
+      const [model, attribute] = validation[rule].split('.');
+      add(path, rule, (rule === 'exists')
+        ? `No ${model} could be found with ${attribute} {{#value}}.`
+        : `A ${model} with ${attribute} {{#value}} already exists.`);
+    });
+  });
+}
+
+/**
+ * Returns the default message template of the given error type, as used by schemas of the
+ * given Joi type, or `null` if the type defines no such error.
+ *
+ * Joi offers no way of listing its templates, so each is found by having a custom rule raise
+ * the error while validating a sample value, with the label and every context value rendered
+ * as its own placeholder. Conditional parts of a template are rendered as for a context value
+ * other than 1 (such as `must have at least {{#limit}} keys`).
+ */
+function getMessageTemplate(type, errorType) {
+  const cacheKey = `${type}:${errorType}`;
+  if (templateCache.has(cacheKey)) {
+    return templateCache.get(cacheKey);
+  }
+
+  const knownType = Object.prototype.hasOwnProperty.call(SAMPLE_VALUES, type) ? type : 'any';
+  let schema = Joi.types()[knownType];
+  if (knownType === 'alternatives') {
+    schema = schema.try(Joi.any());
+  }
+  const { error } = schema
+    .label('{{#label}}')
+    .custom((value, helpers) => helpers.error(errorType, PLACEHOLDER_CONTEXT))
+    .validate(SAMPLE_VALUES[knownType], { errors: { escapeHtml: false, wrap: { label: false, array: false, string: false } } });
+  const detail = (error && error.details[0]) || {};
+  // (error types the Joi type doesn't define are reported as such, rather than as themselves)
+  const template = ((detail.type === errorType) && !/^Error code ".*" is not defined/.test(detail.message)) ? detail.message : null;
+
+  templateCache.set(cacheKey, template);
+  return template;
+}
+
+/**
+ * Picks out the source of any messages given as plain strings (or compiled templates) from a
+ * Joi `messages` object, leaving out those given per language.
+ */
+function pickStringMessages(messages) {
+  if (!(messages instanceof Object)) {
+    return {};
+  }
+  return Object.keys(messages).reduce((acc, key) => {
+    const source = (messages[key] instanceof Object) ? messages[key].source : messages[key];
+    if (typeof source === 'string') {
+      acc[key] = source;
+    }
+    return acc;
+  }, {});
+}
+
+module.exports = buildErrorCatalogue;
@@ -0,0 +1,37 @@
+// Classes and fat modules.
+const Joi = require('joi');
+
+// Helper functions.
+const { attributeToJoi } = require('./fromModel');
+
+/**
+ * Used to cache the Joi schemas built from each `inputs` object, so each is only built once.
+ */
+const schemaCache = new WeakMap();
+
+/**
+ * Builds a Joi object schema from the `inputs` of an actions2 (machine-style) action
+ * definition, so that standalone actions are validated without repeating each input by hand.
+ * Inputs share the type and validation rule vocabulary of Waterline attributes, so each is
+ * converted just as a model attribute would be (see `fromModel(...)`). Inputs of type 'json'
+ * or 'ref', or given by example (such as `type: {}`), accept anything. Parameters which aren't
+ * inputs are stripped rather than rejected, just as the action itself would ignore them.
+ *
+ * @param {Object} inputs - The `inputs` of the action definition, keyed by input name.
+ *
+ * @returns {Object} The built Joi schema.
+ */
+function fromInputs(inputs) {
+  if (schemaCache.has(inputs)) {
+    return schemaCache.get(inputs);
+  }
+  const keys = {};
+  Object.keys(inputs).filter(name => inputs[name] instanceof Object).forEach(name => {
+    keys[name] = attributeToJoi(inputs[name], true);
+  });
+  const schema = Joi.object(keys).options({ stripUnknown: true });
+  schemaCache.set(inputs, schema);
+  return schema;
+}
+
+module.exports = fromInputs;
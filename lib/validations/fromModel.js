@@ -0,0 +1,221 @@
+
+// Classes and fat modules.
+const Joi = require('joi');
+
+/**
+ * A reference to a Joi object schema derived from the attributes of a Waterline model, as
+ * created by `fromModel(...)`. Controller configs are loaded before models are, so the schema
+ * itself is only built once the reference is resolved against the models of a lifted app.
+ */
+class ModelSchemaReference {
+  constructor(modelIdentity, options) {
+    if (typeof modelIdentity !== 'string') {
+      throw new Error(`Expected the model identity given to \`fromModel(...)\` to be a string, but instead found: (${typeof modelIdentity}) ${modelIdentity}`);
+    }
+    options = (options instanceof Object) ? options : {};
+    ['pick', 'omit'].forEach(option => {
+      if ((typeof options[option] !== 'undefined') && !Array.isArray(options[option])) {
+        throw new Error(`Expected the \`${option}\` option given to \`fromModel('${modelIdentity}', ...)\` to be an array of attribute names, but instead found: ${options[option]}`);
+      }
+    });
+
+    this.modelIdentity = modelIdentity;
+    this.options = options;
+    // Built schemas, keyed by the model they were built from, so each is only built once.
+    this._cache = new WeakMap();
+  }
+
+  /**
+   * Builds the Joi object schema for the referenced model, as loaded by the given Sails app.
+   *
+   * @param {Object} sails - The Sails app holding the loaded models.
+   *
+   * @returns {Object} The built Joi schema.
+   *
+   * @throws {Error} An error if the model isn't loaded, or any picked or omitted attribute
+   * doesn't exist.
+   */
+  resolve(sails) {
+    const model = (sails && (sails.models instanceof Object)) ? sails.models[this.modelIdentity.toLowerCase()] : undefined;
+    if (!(model instanceof Object) || !(model.attributes instanceof Object)) {
+      throw new Error(`Unable to build a Joi schema from model "${this.modelIdentity}", as no such model has been loaded.`);
+    }
+    if (this._cache.has(model)) {
+      return this._cache.get(model);
+    }
+
+    const { pick, omit, partial } = this.options;
+    // Ensure we've not been asked for attributes which don't exist, as they're surely typos.
+    [].concat(pick || [], omit || []).forEach(name => {
+      if (!(model.attributes[name] instanceof Object)) {
+        throw new Error(`Unable to build a Joi schema from model "${this.modelIdentity}", as it has no attribute named "${name}".`);
+      }
+    });
+
+    // Without an explicit pick, take every attribute a client would be expected to send.
+    const names = pick || Object.keys(model.attributes).filter(name => isClientAttribute(model, name));
+    const keys = {};
+    names.filter(name => !(omit || []).includes(name)).forEach(name => {
+      keys[name] = attributeToJoi(model.attributes[name], !partial);
+    });
+
+    const schema = Joi.object(keys);
+    this._cache.set(model, schema);
+    return schema;
+  }
+}
+
+/**
+ * Creates a Joi object schema from the attributes of the given Waterline model, so that Joi
+ * validations needn't copy each attribute definition by hand. The returned reference may be
+ * used anywhere a Joi schema is accepted by `_config.validations` or `_config.responses`, and
+ * is built from the attribute types and validation rules once the models have been loaded.
+ *
+ * Unless picked, the primary key, any automatic timestamp or auto-incremented attributes and
+ * any collection associations are left out. Custom validation functions can't be carried over,
+ * so use a Waterline validation where those must be run.
+ *
+ * @param {string} modelIdentity - Identity of the model, such as 'User'.
+ * @param {Object} [options] - Options controlling which attributes are included.
+ * @param {string[]} [options.pick] - Names of the only attributes to include.
+ * @param {string[]} [options.omit] - Names of attributes to leave out.
+ * @param {boolean} [options.partial] - Whether every attribute should be optional, such as
+ * for update actions. Defaults to `false`.
+ *
+ * @returns {ModelSchemaReference}
+ *
+ * @example ```
+validations: {
+  create: fromModel('User', { omit: ['passwordHash'] }),
+  update: { body: fromModel('User', { pick: ['displayName', 'bio'], partial: true }), waterline: { id: { exists: 'User.id' } } },
+}
+```
+ */
+function fromModel(modelIdentity, options) {
+  return new ModelSchemaReference(modelIdentity, options);
+}
+
+/**
+ * Replaces every model schema reference found within the given validation config with the
+ * Joi schema it refers to, looking through plain objects and arrays (such as advanced
+ * validators and `[schema, options]` tuples). The given config is left untouched, with
+ * copies only made where a reference was replaced.
+ *
+ * @param {*} value - The validation config to resolve.
+ * @param {Object} sails - The Sails app holding the loaded models.
+ *
+ * @returns {*} The resolved config.
+ */
+function resolveModelSchemas(value, sails) {
+  if (value instanceof ModelSchemaReference) {
+    return value.resolve(sails);
+  }
+  if (Array.isArray(value)) {
+    const resolved = value.map(v => resolveModelSchemas(v, sails));
+    return resolved.some((v, i) => v !== value[i]) ? resolved : value;
+  }
+  // Only plain objects may hold references, so leave Joi schemas, functions and the like alone.
+  if (!(value instanceof Object) || (Object.getPrototypeOf(value) !== Object.prototype)) {
+    return value;
+  }
+  let resolved = value;
+  Object.keys(value).forEach(key => {
+    const v = resolveModelSchemas(value[key], sails);
+    if (v !== value[key]) {
+      resolved = (resolved === value) ? Object.assign({}, value) : resolved;
+      resolved[key] = v;
+    }
+  });
+  return resolved;
+}
+
+/**
+ * Returns whether the named model attribute is one a client would be expected to send.
+ */
+function isClientAttribute(model, name) {
+  const attribute = model.attributes[name];
+  const autoMigrations = (attribute.autoMigrations instanceof Object) ? attribute.autoMigrations : {};
+  return (name !== model.primaryKey)
+    && !attribute.collection
+    && !attribute.autoCreatedAt && !attribute.autoUpdatedAt
+    && !attribute.autoIncrement && !autoMigrations.autoIncrement;
+}
+
+/**
+ * Converts a single Waterline model attribute into a Joi schema, according to its type and
+ * validation rules.
+ *
+ * @param {Object} attribute - The attribute definition.
+ * @param {boolean} isRequiredHonoured - Whether a required attribute should be required.
+ */
+function attributeToJoi(attribute, isRequiredHonoured) {
+  // validations may be found either on the attribute itself or, once normalised, within `validations`
+  const rules = Object.assign({}, attribute, attribute.validations);
+  const isRequired = isRequiredHonoured && !!attribute.required;
+  let schema;
+
+  if (attribute.model) {
+    // singular associations are given by the primary key of the associated record
+    schema = Joi.alternatives().try(Joi.string(), Joi.number());
+  } else if (attribute.collection) {
+    schema = Joi.array().items(Joi.string(), Joi.number());
+  } else if (attribute.type === 'string') {
+    schema = Joi.string();
+    // Waterline only rejects empty strings for required attributes, unlike Joi
+    if (!isRequired && !rules.isNotEmptyString && !Array.isArray(rules.isIn)) {
+      schema = schema.allow('');
+    }
+    if (typeof rules.minLength === 'number') {
+      schema = schema.min(rules.minLength);
+    }
+    if (typeof rules.maxLength === 'number') {
+      schema = schema.max(rules.maxLength);
+    }
+    if (rules.regex instanceof RegExp) {
+      schema = schema.pattern(rules.regex);
+    }
+    if (rules.isEmail) {
+      schema = schema.email();
+    } else if (rules.isURL) {
+      schema = schema.uri();
+    } else if (rules.isUUID) {
+      schema = schema.guid();
+    }
+  } else if (attribute.type === 'number') {
+    schema = Joi.number();
+    if (rules.isInteger) {
+      schema = schema.integer();
+    }
+    if (typeof rules.min === 'number') {
+      schema = schema.min(rules.min);
+    }
+    if (typeof rules.max === 'number') {
+      schema = schema.max(rules.max);
+    }
+  } else if (attribute.type === 'boolean') {
+    schema = Joi.boolean();
+  } else {
+    // 'json' and 'ref' attributes may hold anything
+    schema = Joi.any();
+  }
+
+  if (Array.isArray(rules.isIn)) {
+    schema = schema.valid(...rules.isIn);
+  }
+  if (Array.isArray(rules.isNotIn)) {
+    schema = schema.invalid(...rules.isNotIn);
+  }
+  if (attribute.allowNull) {
+    schema = schema.allow(null);
+  }
+  if (typeof attribute.description === 'string') {
+    schema = schema.description(attribute.description);
+  }
+
+  return isRequired ? schema.required() : schema;
+}
+
+module.exports = fromModel;
+module.exports.ModelSchemaReference = ModelSchemaReference;
+module.exports.resolveModelSchemas = resolveModelSchemas;
+module.exports.attributeToJoi = attributeToJoi;
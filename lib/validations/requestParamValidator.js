@@ -29,11 +29,17 @@ const util = require('util');
  * @param {object} schema - Schema to perform validation against. By default it is assumed
  * that this is a simple object with Joi validations contained. If a top-level `waterline`
  * property exists, then Waterline validations will be performed against the given object.
- * It is then expected that any Joi validations exist within a `joi` property.
+ * It is then expected that any Joi validations exist within a `joi` property. Joi schemas
+ * may also be given for any of the `body`, `query`, `params` and `headers` properties, in
+ * which case they'll be validated against just that source of the request.
+ *
+ * @param {object} [timings] - An object to record the time taken by each validation phase
+ * under, in milliseconds. The time taken by Joi validations is recorded as `joi`, while that
+ * of Waterline validations is recorded as `waterline`, whether or not they pass.
  *
  * @returns Returns `true` if the validation succeeded. If the validation has failed, a fitting
- * error will be thrown. If the Floatplane errors hook is installed, this error will be wrapped
- * with the service when possible, else a plain `Error` thrown instead.
+ * error will be thrown, created by the Floatplane errors hook service where installed or by
+ * the built-in error service otherwise.
  *
  * @example ```
 // Simple validation (Joi only):
@@ -57,6 +63,25 @@ validations: {
   },
 }
 
+// Per-source validation (route params, query string, body and headers validated separately,
+// alongside the `joi` or `waterline` schema which marks the validator as an advanced one):
+validations: {
+  update: {
+    params: {
+      userId: Joi.string().hex().length(24).required(),
+    },
+    body: {
+      displayName: Joi.string(),
+    },
+    headers: {
+      'x-client-version': Joi.string().required(),
+    },
+    waterline: {
+      userId: { exists: 'User.id' },
+    },
+  },
+}
+
 // For any case where a Joi schema is expected, a tuple of form [schema, options] may
 // be supplied instead, containing the Joi schema along with extra options to be used
 // for the validation operation:
@@ -71,37 +96,134 @@ validations: {
 ```
  *
  */
-async function validateParams(req, actionInfo, schema) {
+async function validateParams(req, actionInfo, schema, timings) {
   // Extract our appropriate validators.
-  const { joiSchema, joiSchemaOpts, waterlineSchema } = extractSubschema(schema);
+  const { joiSchema, joiSchemaOpts, sourceSchemas, waterlineSchema } = extractSubschema(schema);
+  const sources = Object.keys(sourceSchemas);
+
+  if (joiSchema || (sources.length > 0)) {
+    await timePhase(timings, 'joi', () => {
+      // If we've a Joi schema, run that validation and update our request with the `validatedParams` field.
+      if (joiSchema) {
+        const validatedParams = testJoiValidations(req, actionInfo, joiSchema, joiSchemaOpts);
+        req.validatedParams = validatedParams;
+      }
 
-  // If we've a Joi schema, run that validation and update our request with the `validatedParams` field.
-  if (joiSchema) {
-    const validatedParams = testJoiValidations(req, actionInfo, joiSchema, joiSchemaOpts);
-    req.validatedParams = validatedParams;
+      // If we've any per-source Joi schema, validate each against its own source and add the results under matching keys.
+      if (sources.length > 0) {
+        const validatedParams = Object.assign({}, req.validatedParams);
+        sources.forEach(source => {
+          const { joiSchema: sourceSchema, joiSchemaOpts: sourceSchemaOpts } = sourceSchemas[source];
+          validatedParams[source] = testJoiValidations(req, actionInfo, sourceSchema, sourceSchemaOpts, source);
+        });
+        req.validatedParams = validatedParams;
+      }
+    });
   }
 
   // If we've a Waterline schema, run that validation.
   if (waterlineSchema) {
-    testWaterlineValidations(req, actionInfo, waterlineSchema);
+    await timePhase(timings, 'waterline', () => testWaterlineValidations(req, actionInfo, waterlineSchema));
   }
 
   // We've made it here successfully, looks like all validations have passed!
   return true;
 }
 
+/**
+ * Runs the given (possibly async) function, recording the time it took in milliseconds under
+ * the given phase of `timings` where given, whether or not it throws.
+ */
+async function timePhase(timings, phase, fn) {
+  const startedAt = process.hrtime();
+  try {
+    return await fn();
+  } finally {
+    if (timings instanceof Object) {
+      const [seconds, nanoseconds] = process.hrtime(startedAt);
+      timings[phase] = (seconds * 1e3) + (nanoseconds / 1e6);
+    }
+  }
+}
+
+/**
+ * The request sources which may be given their own Joi schema within an advanced validator,
+ * each mapped to a function pulling that source from the request.
+ */
+const REQUEST_SOURCES = {
+  body: req => req.body,
+  query: req => req.query,
+  params: req => req.params,
+  headers: req => req.headers,
+};
+
+/**
+ * Used to cache the results of `extractJoiSchema(...)`, `extractSubschema(...)` and
+ * `parseWaterlineSchema(...)`, keyed by the schema objects given. Schemas are held by action
+ * configs which live as long as the app, so these save building the same Joi schemas for
+ * every request, while new schemas (such as after a reload) simply miss the cache.
+ */
+const joiSchemaCache = new WeakMap();
+const subschemaCache = new WeakMap();
+const waterlineSchemaCache = new WeakMap();
+
+/**
+ * Builds a Joi schema from either a plain object, tuple, or preconstructed schema. Any Joi
+ * validation options given by a tuple are also extracted. Results are cached per schema
+ * object, so the returned object must not be mutated.
+ *
+ * @param {object|Array} joiSchemaObject - A plain object of Joi schema, a constructed Joi
+ * schema, or a tuple of form `[schema, options]` holding either.
+ *
+ * @returns {object} An object of form `{ joiSchema, joiSchemaOpts }`, where `joiSchemaOpts`
+ * is `null` if no options were given.
+ */
+function extractJoiSchema(joiSchemaObject) {
+  if (joiSchemaCache.has(joiSchemaObject)) {
+    return joiSchemaCache.get(joiSchemaObject);
+  }
+  const cacheKey = joiSchemaObject;
+
+  let joiSchemaOpts = null;
+  // If we've been given a tuple for the schema, extract options and pull the main schema out.
+  if (Array.isArray(joiSchemaObject)) {
+    joiSchemaOpts = joiSchemaObject[1];
+    joiSchemaObject = (joiSchemaObject[0] instanceof Object) ? joiSchemaObject[0] : {};
+  }
+
+  const out = {
+    joiSchema: Joi.isSchema(joiSchemaObject)
+      // The given object is already a constructed Joi schema, so we can use it as-is.
+      ? joiSchemaObject
+      // Otherwise we've a plain object given: wrap it as a Joi object.
+      : Joi.object(joiSchemaObject),
+    joiSchemaOpts,
+  };
+  if (cacheKey instanceof Object) {
+    joiSchemaCache.set(cacheKey, out);
+  }
+  return out;
+}
+
 /**
  * Handles extracting individual Joi and Waterline schema objects from a potentially advanced
  * schema object.
  *
  * @param {object} schema - Schema which should have subschema components extracted. For more
  * information, refer to the identically named argument belonging to `validateParams(...)`.
+ *
+ * Results are cached per schema object, so the returned object must not be mutated.
  */
 function extractSubschema(schema) {
+  if (subschemaCache.has(schema)) {
+    return subschemaCache.get(schema);
+  }
+
   // Setup our output schema object, with all schema by default `null`-ed out.
   const out = {
     joiSchema: null,
     joiSchemaOpts: null,
+    sourceSchemas: {},
     waterlineSchema: null,
   };
 
@@ -110,50 +232,127 @@ function extractSubschema(schema) {
     return out;
   }
 
-  // Determine whether or not the validator is an advanced one with potential Waterline support.
+  // Determine whether or not the validator is an advanced one with potential Waterline or per-source support.
+  // (request source schemas are only taken from advanced validators, so a plain schema with some `query` param isn't confused)
   const isAdvancedValidator = (schema.joi instanceof Object) || (schema.waterline instanceof Object);
 
-  // Helper function which builds Joi schema from either a plain object, tuple, or preconstructed
-  // schema. Joi validation options are also extracted.
-  const extractJoi = (joiSchemaObject) => {
-    // If we've been given a tuple for the schema, extract options and pull the main schema out.
-    if (Array.isArray(joiSchemaObject)) {
-      out.joiSchemaOpts = joiSchemaObject[1];
-      joiSchemaObject = (joiSchemaObject[0] instanceof Object) ? joiSchemaObject[0] : {};
-    }
-
-    // Apply our schema to the output object.
-    out.joiSchema = Joi.isSchema(joiSchemaObject)
-      // The given object is already a constructed Joi schema, so we can use it as-is.
-      ? joiSchemaObject
-      // Otherwise we've a plain object given: wrap it as a Joi object.
-      : Joi.object(joiSchemaObject);
-  };
-
   // Handle extracting schema depending on validator type.
   if (isAdvancedValidator) {
-    // We've an advanced validator so try and extract from `joi` and `waterline` fields.
+    // We've an advanced validator so try and extract from `joi`, `waterline` and request source fields.
     // Extract any Joi schema as necessary.
     if (schema.joi instanceof Object) {
-      extractJoi(schema.joi);
+      Object.assign(out, extractJoiSchema(schema.joi));
     }
+    // Extract any Joi schema given per request source.
+    Object.keys(REQUEST_SOURCES).forEach(source => {
+      if (schema[source] instanceof Object) {
+        out.sourceSchemas[source] = extractJoiSchema(schema[source]);
+      }
+    });
     // Extract any Waterline schema.
     if (schema.waterline instanceof Object) {
       out.waterlineSchema = schema.waterline;
     }
   } else {
     // We've just a simply validator, so take it as a Joi schema.
-    extractJoi(schema);
+    Object.assign(out, extractJoiSchema(schema));
   }
 
   // Return out our object with each potential schema included.
+  subschemaCache.set(schema, out);
   return out;
 }
 
+/**
+ * Determines whether the given schema chooses between schemas by the outcome of permission
+ * validation, being of form `{ byPermission: { [validationName]: schema, '*': schema } }`.
+ *
+ * @param {object} schema - Schema as given by `_config.validations`.
+ *
+ * @returns {boolean}
+ */
+function isPermissionSchema(schema) {
+  return (schema instanceof Object) && !Joi.isSchema(schema) && !Array.isArray(schema)
+    && (Object.keys(schema).length === 1)
+    && (schema.byPermission instanceof Object) && !Joi.isSchema(schema.byPermission);
+}
+
+/**
+ * Picks the schema to validate a request against, where schemas are chosen by the outcome of
+ * permission validation. The first entry named after a validation the request passed (such as
+ * 'user:isAdmin') is used, falling back to the `'*'` entry. Any other schema is returned as-is.
+ *
+ * @param {object} schema - Schema as given by `_config.validations`.
+ * @param {string[]} passedValidations - Names of the permission validations passed by the
+ * request, as from `Permissions.validate(...)`.
+ *
+ * @returns {object} The schema to validate against.
+ *
+ * @example ```
+// Admins may set any role, while everyone else is held to a stricter schema:
+validations: {
+  update: {
+    byPermission: {
+      'user:isAdmin': { role: Joi.string(), displayName: Joi.string() },
+      '*': { displayName: Joi.string() },
+    },
+  },
+}
+```
+ */
+function selectPermissionSchema(schema, passedValidations) {
+  if (!isPermissionSchema(schema)) {
+    return schema;
+  }
+  const passed = passedValidations || [];
+  const name = Object.keys(schema.byPermission).find(n => (n !== '*') && passed.includes(n));
+  return schema.byPermission[name || '*'];
+}
+
+/**
+ * Builds every Joi schema and parses every Waterline schema the given action config may
+ * validate against, including each `byPermission` entry and each response schema, so that
+ * none need be built while serving a request. The results land in the caches used by
+ * `extractSubschema(...)`, `extractJoiSchema(...)` and `parseWaterlineSchema(...)`.
+ *
+ * @param {ResolvedActionConfig} actionConfig - The config to build the schemas of.
+ *
+ * @throws {Error} An error if some Waterline schema is invalid.
+ */
+function compileSchemas(actionConfig) {
+  const schemas = isPermissionSchema(actionConfig.schema)
+    ? Object.values(actionConfig.schema.byPermission)
+    : [actionConfig.schema];
+  schemas.forEach(schema => {
+    const { waterlineSchema } = extractSubschema(schema);
+    if (waterlineSchema) {
+      parseWaterlineSchema(actionConfig, waterlineSchema);
+    }
+  });
+
+  const responseSchemas = (actionConfig.responseSchemas instanceof Object) ? actionConfig.responseSchemas : {};
+  Object.keys(responseSchemas).forEach(statusCode => extractJoiSchema(responseSchemas[statusCode]));
+}
+
+/**
+ * Builds the i18n key of a parameter validation error, of form `<action>.<path>.<rule>`, such
+ * as `user.update.links.url.string.uri`. Array indexes are left out of the path, so that every
+ * item of an array shares the same keys.
+ *
+ * @param {string} actionPath - Full path of the action, '/'-delimited.
+ * @param {Array} path - Path of the failing value, such as `['links', 2, 'url']`.
+ * @param {string} rule - The rule which failed, such as a Joi error type.
+ *
+ * @returns {string}
+ */
+function makeParamErrorKey(actionPath, path, rule) {
+  return [actionPath.replace(/\//g, '.'), ...path.filter(p => typeof p !== 'number'), rule].join('.');
+}
+
 /**
  * Handles creating an error group for the given Joi validation error, using the Floatplane
- * error hook. If the error hook is not installed, or if the encountered error could not be
- * wrapped appropriately, then a plain `Error` is returned instead.
+ * error hook or the built-in error service when it isn't installed. If the encountered error
+ * could not be wrapped appropriately, then a plain `Error` is returned instead.
  *
  * @param {SailsRequest} req - The request containing the parameters that validation was
  * performed against.
@@ -161,28 +360,25 @@ function extractSubschema(schema) {
  * to fulfill the given `req`.
  * @param {ValidationError} joiError - The Joi validation error which we should generate
  * an error group for.
+ * @param {string} [source] - The request source which was validated, if validation wasn't
+ * run against the merged request parameters.
  *
  * @returns {FloatplaneErrorGroup|Error}
  */
-function makeJoiValidationErrorGroup(req, actionInfo, joiError) {
-  // Generate a prefix for all of our error i18n keys.
-  const errorKeyPrefix = actionInfo.path.replace(/\//g, '.') + '.';
-
+function makeJoiValidationErrorGroup(req, actionInfo, joiError, source) {
   if (!(joiError instanceof Object) || !Array.isArray(joiError.details)) {
     return new Error('Received an invalid Joi validation error object. Expected an object with array `details`, but instead found: ' + util.inspect(joiError));
   }
 
-  // Try and extract the global error service, returning the original Joi error if it's not installed.
-  const ErrorService = ErrorsHelper.tryGetErrorService();
-  if (!ErrorService) {
-    return joiError;
-  }
+  const ErrorService = ErrorsHelper.getErrorService();
 
   const errors = joiError.details.map(info => {
-    const errorKey = errorKeyPrefix + info.context.key + '.' + info.type;
-    // Create a new 'paramValidationError' describing this error, with the broken rule attached.
+    // Key the error by the full path of the failing value, so nested failures can be told apart.
+    const path = source ? [source, ...info.path] : info.path;
+    const errorKey = makeParamErrorKey(actionInfo.path, path, info.type);
+    // Create a new 'paramValidationError' describing this error, with the broken rule and failing path attached.
     // We'll use the original Joi error message as the default, just in case some language doesn't have the controller-specific error key defined.
-    return ErrorService.createError('paramValidationError', errorKey, undefined, { rule: info.type })
+    return ErrorService.createError('paramValidationError', errorKey, undefined, { rule: info.type, path })
       .defaultMessage(info.message);
   });
 
@@ -199,19 +395,29 @@ function makeJoiValidationErrorGroup(req, actionInfo, joiError) {
  * triggered to fulfill the given `req`.
  * @param {object} joiSchema - A Joi schema object to validate the given `req` with.
  * @param {object} [validationOpts] - Optional validation config to supply to Joi.
+ * @param {string} [source] - Name of the request source to validate, one of 'body', 'query',
+ * 'params' or 'headers'. If not given, the merged request parameters are validated.
  *
  * @returns {object} Returns parameters sanitised from the given `req` according to the
  * `joiSchema` passed.
  *
  * @throws {FloatplaneErrorGroup|Error} Throws a fitting error if the validation failed
- * in any way. This error will be wrapped appropriately if the Floatplane error hook is
- * present, else a plain `Error` returned.
+ * in any way, wrapped by the Floatplane error hook service or the built-in error service.
  */
-function testJoiValidations(req, actionInfo, joiSchema, validationOpts) {
-  const joiResult = joiSchema.validate(req.allParams(), validationOpts);
+function testJoiValidations(req, actionInfo, joiSchema, validationOpts, source) {
+  let value = req.allParams();
+  if (source) {
+    value = REQUEST_SOURCES[source](req) || {};
+    // Headers will always hold plenty we don't care about, so allow (and strip) unknown keys unless told otherwise.
+    if (source === 'headers') {
+      validationOpts = Object.assign({ allowUnknown: true, stripUnknown: true }, validationOpts);
+    }
+  }
+
+  const joiResult = joiSchema.validate(value, validationOpts);
   // If we've an error encountered, wrap appropriately and throw.
   if (joiResult.error) {
-    throw makeJoiValidationErrorGroup(req, actionInfo, joiResult.error);
+    throw makeJoiValidationErrorGroup(req, actionInfo, joiResult.error, source);
   }
   // Otherwise all good, simply return the Joi processed result.
   return joiResult.value;
@@ -226,13 +432,16 @@ function testJoiValidations(req, actionInfo, joiSchema, validationOpts) {
  * @param {SailsActionInfo} actionInfo - Information regarding the action which has been
  * triggered to fulfill the given `req`.
  * @param {Object} wlSchema - An object defining the validations which should take place
- * against the given request's parameters.
+ * against the given request's parameters. Keys may be dotted paths to reach nested values,
+ * with a `[]` suffix to validate every item of an array, such as `links[].url`.
  *
- * @returns {null} Returns `null` after executing without issue, otherwise throws.
+ * @returns {Promise<null>} Resolves with `null` after executing without issue, otherwise
+ * rejects.
  *
  * @throws {Error} An error if the schema contains any invalid validation definitions.
  * @throws {Error} An error if an unhandled error occurred during validation. When this
- * occurs, please ensure that floatplane-hook-waterline-errors is installed and working!
+ * occurs with the Floatplane error hook installed, please ensure that
+ * floatplane-hook-waterline-errors is installed and working!
  *
  * @example
  * // Validates a username parameter against the User model's username attribute definition.
@@ -241,8 +450,20 @@ function testJoiValidations(req, actionInfo, joiSchema, validationOpts) {
  * @example
  * // Ensures that the username parameter is either a valid `email` or `username`, as defined by the User model.
  * testWaterlineValidations(req, { username: { or: ['User.username', 'User.email'] } })
+ *
+ * @example
+ * // Ensures that the playlistId parameter refers to an existing playlist owned by the session user.
+ * testWaterlineValidations(req, { playlistId: { exists: 'Playlist.id', criteria: req => ({ owner: req.session.userId }) } })
+ *
+ * @example
+ * // Ensures that the username parameter is both a valid `username` and not yet taken.
+ * testWaterlineValidations(req, { username: { and: ['User.username', { unique: 'User.username' }] } })
+ *
+ * @example
+ * // Validates the nested display name, along with the url of every item of the links array.
+ * testWaterlineValidations(req, { 'profile.displayName': 'User.displayName', 'links[].url': 'Link.url' })
  */
-function testWaterlineValidations(req, actionInfo, wlSchema) {
+async function testWaterlineValidations(req, actionInfo, wlSchema) {
   // If the schema isn't an object, nothing to check, so no errors. In the future, we may
   // want to throw if this isn't properly specified.
   if (!(wlSchema instanceof Object)) {
@@ -253,29 +474,62 @@ function testWaterlineValidations(req, actionInfo, wlSchema) {
   const errors = [];
 
   // Loop over all keys in our schema and handle the validation steps.
-  for (const paramName in wlSchema) {
-    // Get the set value for this request, skipping if not set (we only validate defined parameters, use Joi to make them required!).
-    const paramReqValue = req.param(paramName);
-    if (typeof paramReqValue === 'undefined') {
-      continue;
+  for (const { paramKey, validations, matchAll } of parseWaterlineSchema(actionInfo, wlSchema)) {
+    // Validate every value the key resolves to (just the one, unless it steps through arrays).
+    for (const target of resolveParamTargets(req, paramKey)) {
+      errors.push(...await testWaterlineTarget(req, actionInfo, paramKey, target, validations, matchAll));
     }
+  }
+
+  // If we've no errors: awesome, return null!
+  if (errors.length === 0) {
+    return null;
+  }
+
+  // Either return a sole error, or make a group out of multiple errors.
+  const ErrorService = ErrorsHelper.getErrorService();
+  throw (errors.length === 1)
+    ? errors[0]
+    : ErrorService.groupErrors(undefined, undefined, errors);
+}
 
+/**
+ * Parses the validation definitions of the given Waterline schema, such as `'User.username'`
+ * or `{ or: ['User.username', 'User.email'] }`, into lists of validations to run. Results are
+ * cached per schema object.
+ *
+ * @param {SailsActionInfo} actionInfo - Information regarding the action the schema belongs to.
+ * @param {Object} wlSchema - The Waterline schema to parse.
+ *
+ * @returns {Object[]} An entry per schema key, of form `{ paramKey, validations, matchAll }`,
+ * where `matchAll` is set if every validation must pass rather than just one.
+ *
+ * @throws {Error} An error if the schema contains any invalid validation definitions.
+ */
+function parseWaterlineSchema(actionInfo, wlSchema) {
+  if (waterlineSchemaCache.has(wlSchema)) {
+    return waterlineSchemaCache.get(wlSchema);
+  }
+
+  const parsed = Object.keys(wlSchema).map(paramKey => {
     // Pull the validation definition from our schema.
-    const paramValidation = wlSchema[paramName];
+    const paramValidation = wlSchema[paramKey];
 
     // Setup state used for extracting complex definitions from the validation definition object.
     let validations;
     let matchAll = false;
 
-    // If the validation is an object, then we may have an {or: ...} or {and: ...} specifier, so handle those.
+    // If the validation is an object, then we may have an {or: ...}, {and: ...}, {exists: ...} or {unique: ...} specifier, so handle those.
     if (paramValidation instanceof Object) {
       if (Array.isArray(paramValidation.or)) {
         validations = paramValidation.or;
       } else if (Array.isArray(paramValidation.and)) {
         matchAll = true;
         validations = paramValidation.and;
+      } else if (isQueryValidation(paramValidation)) {
+        validations = [paramValidation];
       } else {
-        throw new Error(`Invalid Waterline validation specified for action "${actionInfo.path}". Expected an object with key "or" or "and" but instead found: ${util.inspect(paramValidation)}`);
+        throw new Error(`Invalid Waterline validation specified for action "${actionInfo.path}". Expected an object with key "or", "and", "exists" or "unique" but instead found: ${util.inspect(paramValidation)}`);
       }
     } else if (typeof paramValidation === 'string') {
       validations = [paramValidation];
@@ -283,84 +537,254 @@ function testWaterlineValidations(req, actionInfo, wlSchema) {
       throw new Error(`Invalid Waterline validation specified for action "${actionInfo.path}". Expected either an object or string, but instead found: ${util.inspect(paramValidation)}`);
     }
 
-    // Setup an error array to store just the errors for this specific parameter.
-    const paramErrors = [];
-    let failCount = 0;
+    return { paramKey, validations, matchAll };
+  });
 
-    // Run all validations on this parameter.
-    validations.forEach(ident => {
-      // Split our identity into fragments and perform consistency checking: [model name, attribute name]
-      const fragments = ident.split('.');
-      if (fragments.length !== 2) {
-        throw new Error(`Invalid Waterline validation specified for parameter "${paramName}" or action "${actionInfo.path}". Expected an attribute identity such as "User.username", but instead found: ${util.inspect(ident)}`);
-      }
-      // Try and find our model, throwing an error if it does not exist.
-      const model = req._sails.models[fragments[0].toLowerCase()];
-      if (!(model instanceof Object) || !(model.validate instanceof Function)) {
-        throw new Error(`Invalid Waterline validation specified for parameter "${paramName}" or action "${actionInfo.path}". The named model "${fragments[0]}" does not exist.`);
-      }
+  waterlineSchemaCache.set(wlSchema, parsed);
+  return parsed;
+}
 
-      // Try and run our validation, catching any error, and collecting it if it was generated
-      // from the Floatplane error hook.
-      try {
-        model.validate(fragments[1], paramReqValue);
-      } catch (e) {
-        // If we're missing our error service, throw the error as-is.
-        const ErrorService = ErrorsHelper.tryGetErrorService();
-        if (!ErrorService) {
-          throw e;
-        }
-        // Handle stacking on potential errors from the error hook.
-        if (ErrorService.isError(e)) {
-          paramErrors.push(e);
-          failCount++;
-        } else if (ErrorService.isErrorGroup(e)) {
-          paramErrors.push(...e.errors);
-          failCount++;
-        } else {
-          // Not from the error hook: just throw as-is.
-          throw e;
-        }
-      }
-    });
+/**
+ * Resolves the values a Waterline schema key refers to within the request parameters. Keys
+ * are dotted paths, such as `profile.displayName`, where any segment suffixed by `[]` (such
+ * as in `links[].url`) steps through every item of an array. Values which are not set are
+ * skipped, as are paths stepping through values of the wrong type (use Joi to require them!).
+ *
+ * @param {SailsRequest} req - The request holding the parameters.
+ * @param {string} paramKey - The Waterline schema key to resolve.
+ *
+ * @returns {Object[]} A list of resolved values, of form `{ name, key, path, value }`, where
+ * `name` is the exact path of the value (such as `links[2].url`), `key` is the path without
+ * array indexes (such as `links.url`) and `path` holds the path as an array of segments and
+ * indexes (such as `['links', 2, 'url']`).
+ */
+function resolveParamTargets(req, paramKey) {
+  const segments = paramKey.split('.').map(segment => ({
+    name: segment.endsWith('[]') ? segment.slice(0, -2) : segment,
+    isArray: segment.endsWith('[]'),
+  }));
+
+  let targets = [{ path: [], value: undefined }];
+  segments.forEach((segment, i) => {
+    // Step into the named value of each target, where the first segment is a top-level parameter.
+    targets = targets
+      .map(t => ({
+        path: t.path.concat(segment.name),
+        value: (i === 0) ? req.param(segment.name) : ((t.value instanceof Object) ? t.value[segment.name] : undefined),
+      }))
+      .filter(t => typeof t.value !== 'undefined');
+    // Then expand every array item into its own target.
+    if (segment.isArray) {
+      targets = [].concat(...targets.map(t => (Array.isArray(t.value) ? t.value.map((value, index) => ({ path: t.path.concat(index), value })) : [])))
+        .filter(t => typeof t.value !== 'undefined');
+    }
+  });
 
-    // Calculate our minimum required and actual success counts.
-    // When calculating the successCount, it's important to use failCount instead of the
-    // paramErrors.length, as one validation can result in multiple errors being added.
-    const minimumSuccessCount = (matchAll) ? validations.length : 1;
-    const successCount = validations.length - failCount;
+  return targets.map(t => ({
+    name: t.path.reduce((acc, p) => ((typeof p === 'number') ? `${acc}[${p}]` : (acc ? `${acc}.${p}` : p)), ''),
+    key: t.path.filter(p => typeof p !== 'number').join('.'),
+    path: t.path,
+    value: t.value,
+  }));
+}
+
+/**
+ * Attaches the path of the given resolved value to an error produced by the error service
+ * while validating it, as `data.path` (holding any array indexes, such as
+ * `['links', 2, 'name']`), just as is done for errors created here. The validation rule is
+ * attached as `data.rule` where the error doesn't already name one. Errors holding data other
+ * than an object are left as-is.
+ *
+ * @param {Object} err - The error to attach the path to.
+ * @param {Object} target - The value validated, as resolved by `resolveParamTargets(...)`.
+ * @param {string} rule - The Waterline validation which failed, such as 'User.username'.
+ *
+ * @returns {Object} The given error.
+ */
+function attachTargetPath(err, target, rule) {
+  if (typeof err.data === 'undefined') {
+    err.data = { rule, path: target.path };
+  } else if ((err.data instanceof Object) && !Array.isArray(err.data)) {
+    err.data.path = target.path;
+    if (typeof err.data.rule === 'undefined') {
+      err.data.rule = rule;
+    }
+  }
+  return err;
+}
 
-    // If we exceed or meet our success count, continue onto the next parameter without adding to the error list.
-    if (successCount >= minimumSuccessCount) {
+/**
+ * Runs the given Waterline validations against a single value resolved for a Waterline schema
+ * key, returning the errors which should be reported for it.
+ *
+ * @param {SailsRequest} req - The request holding the value.
+ * @param {SailsActionInfo} actionInfo - Information regarding the action which has been
+ * triggered to fulfill the given `req`.
+ * @param {string} paramKey - The Waterline schema key the value was resolved for.
+ * @param {Object} target - The value to validate, as resolved by `resolveParamTargets(...)`.
+ * @param {Array} validations - The validations to run, being attribute identities or
+ * existence and uniqueness checks.
+ * @param {boolean} matchAll - Whether every validation must pass, or just one.
+ *
+ * @returns {Promise<Object[]>} Resolves with the errors to report, being empty on success.
+ */
+async function testWaterlineTarget(req, actionInfo, paramKey, target, validations, matchAll) {
+  // Setup an error array to store just the errors for this specific value.
+  const paramErrors = [];
+  let failCount = 0;
+
+  // Run all validations on this value.
+  for (const ident of validations) {
+    // Handle any existence or uniqueness checks, which query the model rather than validating against its attribute.
+    if (isQueryValidation(ident)) {
+      const queryError = await testQueryValidation(req, actionInfo, target, ident);
+      if (queryError) {
+        paramErrors.push(queryError);
+        failCount++;
+      }
       continue;
     }
 
-    // Otherwise, we've got some errors to add to our list.
-    errors.push(...paramErrors.slice(0, minimumSuccessCount));
+    // Split our identity into fragments and perform consistency checking: [model name, attribute name]
+    const fragments = ident.split('.');
+    if (fragments.length !== 2) {
+      throw new Error(`Invalid Waterline validation specified for parameter "${paramKey}" or action "${actionInfo.path}". Expected an attribute identity such as "User.username", but instead found: ${util.inspect(ident)}`);
+    }
+    // Try and find our model, throwing an error if it does not exist.
+    const model = req._sails.models[fragments[0].toLowerCase()];
+    if (!(model instanceof Object) || !(model.validate instanceof Function)) {
+      throw new Error(`Invalid Waterline validation specified for parameter "${paramKey}" or action "${actionInfo.path}". The named model "${fragments[0]}" does not exist.`);
+    }
+
+    // Try and run our validation, catching any error, and collecting it if it was generated
+    // from the error service.
+    try {
+      model.validate(fragments[1], target.value);
+    } catch (e) {
+      const ErrorService = ErrorsHelper.getErrorService();
+      // Handle stacking on potential errors from the error service.
+      // (the model knows nothing of where the value came from, so attach its exact path within the request)
+      if (ErrorService.isError(e)) {
+        paramErrors.push(attachTargetPath(e, target, ident));
+        failCount++;
+      } else if (ErrorService.isErrorGroup(e)) {
+        paramErrors.push(...e.errors.map(err => attachTargetPath(err, target, ident)));
+        failCount++;
+      } else if (!ErrorsHelper.tryGetErrorService()) {
+        // Without the error hook, nothing will have wrapped the Waterline error for us, so do so here.
+        const errorKey = makeParamErrorKey(actionInfo.path, target.path, 'waterline');
+        const message = (target.path.length === 1) ? e.message : `${target.name}: ${e.message}`;
+        paramErrors.push(ErrorService.createError('paramValidationError', errorKey, undefined, { rule: ident, path: target.path }).defaultMessage(message));
+        failCount++;
+      } else {
+        // Not from the error hook: just throw as-is.
+        throw e;
+      }
+    }
   }
 
-  // If we've no errors: awesome, return null!
-  if (errors.length === 0) {
-    return null;
+  // Calculate our minimum required and actual success counts.
+  // When calculating the successCount, it's important to use failCount instead of the
+  // paramErrors.length, as one validation can result in multiple errors being added.
+  const minimumSuccessCount = (matchAll) ? validations.length : 1;
+  const successCount = validations.length - failCount;
+
+  // If we exceed or meet our success count, there's nothing to report.
+  if (successCount >= minimumSuccessCount) {
+    return [];
   }
 
-  // Handle generating errors where there's no error service.
-  const ErrorService = ErrorsHelper.tryGetErrorService();
-  if (!ErrorService) {
-    // If we've a single error, throw just that.
-    if (errors.length === 1) {
-      throw errors[0];
-    }
-    // If we've multiple errors, build a new error to hold all.
-    const err = new Error('Multiple validation errors have occurred!');
-    err.errors = errors;
-    throw err;
+  // Otherwise, we've got some errors to report.
+  return paramErrors.slice(0, minimumSuccessCount);
+}
+
+/**
+ * Returns whether the given Waterline validation definition is an existence or uniqueness
+ * check, such as `{ exists: 'Playlist.id' }` or `{ unique: 'User.username' }`.
+ */
+function isQueryValidation(validation) {
+  return (validation instanceof Object) && ((typeof validation.exists === 'string') || (typeof validation.unique === 'string'));
+}
+
+/**
+ * Returns whether the given parameter value may be queried by, being a string, number or
+ * boolean, or an array holding only those (queried as an `in` list).
+ */
+function isQueryValue(value) {
+  const isPrimitive = v => ['string', 'number', 'boolean'].includes(typeof v);
+  return isPrimitive(value) || (Array.isArray(value) && value.every(isPrimitive));
+}
+
+/**
+ * Handles an existence or uniqueness check for a single parameter, by querying the model
+ * named by the validation for records whose attribute matches the parameter value.
+ *
+ * @param {SailsRequest} req - The request holding the parameter.
+ * @param {SailsActionInfo} actionInfo - Information regarding the action which has been
+ * triggered to fulfill the given `req`.
+ * @param {Object} target - The value being validated, as resolved by
+ * `resolveParamTargets(...)`. If the value is an array, an existence check requires that
+ * every item exists, while a uniqueness check requires that none do. Any other value which
+ * isn't a string, number or boolean fails the check without querying.
+ * @param {Object} validation - The validation definition, of form `{ exists: 'Model.attr' }`
+ * or `{ unique: 'Model.attr' }`, along with optional `criteria` used to scope the query.
+ * The criteria may be given either as an object, or as a (possibly async) function called
+ * with the request and returning the criteria.
+ *
+ * @returns {Promise<Object>} Resolves with a fitting error if the check failed, else `null`.
+ *
+ * @throws {Error} An error if the validation definition is invalid.
+ */
+async function testQueryValidation(req, actionInfo, target, validation) {
+  const { value } = target;
+  const rule = (typeof validation.exists === 'string') ? 'exists' : 'unique';
+  const ident = validation[rule];
+
+  // Split our identity into fragments and perform consistency checking: [model name, attribute name]
+  const fragments = ident.split('.');
+  if (fragments.length !== 2) {
+    throw new Error(`Invalid Waterline validation specified for parameter "${target.name}" or action "${actionInfo.path}". Expected an attribute identity such as "User.username" for "${rule}", but instead found: ${util.inspect(ident)}`);
+  }
+  // Try and find our model, throwing an error if it does not exist or can't be queried.
+  const model = req._sails.models[fragments[0].toLowerCase()];
+  if (!(model instanceof Object) || !(model.count instanceof Function)) {
+    throw new Error(`Invalid Waterline validation specified for parameter "${target.name}" or action "${actionInfo.path}". The named model "${fragments[0]}" does not exist.`);
   }
 
-  // Either return a sole error, or make a group out of multiple errors.
-  throw (errors.length === 1)
-    ? errors[0]
-    : ErrorService.groupErrors(undefined, undefined, errors);
+  // Only query by plain values (or a list of them), as anything else would be taken as criteria by Waterline,
+  // letting requests such as `?id[!=]=` match records the parameter never named.
+  if (!isQueryValue(value)) {
+    const errorKey = makeParamErrorKey(actionInfo.path, target.path, rule);
+    const message = ((target.path.length === 1) ? '' : `${target.name}: `)
+      + `Expected ${fragments[1]} to be a string, number or boolean (or a list of them), but instead found: ${util.inspect(value)}.`;
+    return ErrorsHelper.getErrorService().createError('paramValidationError', errorKey, undefined, { rule, path: target.path })
+      .defaultMessage(message);
+  }
+
+  // Build our query criteria, scoped by any criteria given.
+  const criteria = (typeof validation.criteria === 'function') ? await validation.criteria(req) : validation.criteria;
+  const where = Object.assign({}, criteria, { [fragments[1]]: value });
+  const count = await model.count(where);
+
+  const expectedCount = Array.isArray(value) ? value.filter((v, i, a) => a.indexOf(v) === i).length : 1;
+  const hasPassed = (rule === 'exists') ? (count >= expectedCount) : (count === 0);
+  if (hasPassed) {
+    return null;
+  }
+
+  const errorKey = makeParamErrorKey(actionInfo.path, target.path, rule);
+  const message = ((target.path.length === 1) ? '' : `${target.name}: `) + ((rule === 'exists')
+    ? `No ${fragments[0]} could be found with ${fragments[1]} ${util.inspect(value)}.`
+    : `A ${fragments[0]} with ${fragments[1]} ${util.inspect(value)} already exists.`);
+  return ErrorsHelper.getErrorService().createError('paramValidationError', errorKey, undefined, { rule, path: target.path })
+    .defaultMessage(message);
 }
 
 module.exports = validateParams;
+module.exports.extractSubschema = extractSubschema;
+module.exports.extractJoiSchema = extractJoiSchema;
+module.exports.parseWaterlineSchema = parseWaterlineSchema;
+module.exports.makeParamErrorKey = makeParamErrorKey;
+module.exports.isPermissionSchema = isPermissionSchema;
+module.exports.selectPermissionSchema = selectPermissionSchema;
+module.exports.compileSchemas = compileSchemas;
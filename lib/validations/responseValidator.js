@@ -0,0 +1,85 @@
+
+// Classes and fat modules.
+const util = require('util');
+
+// Helper functions.
+const { extractJoiSchema } = require('./requestParamValidator');
+
+/**
+ * Patches the `res.ok` and `res.json` methods of the given response, so that any payload
+ * sent through them is validated against the Joi schema given for the response status code.
+ * Payloads passing validation are sent as sanitised by Joi, with unknown object keys being
+ * stripped by default, so that fields such as password hashes can't leak out.
+ *
+ * @param {SailsResponse} res - The response whose payloads should be validated.
+ *
+ * @param {SailsActionInfo} actionInfo - Information corresponding to the action triggered
+ * to fulfill the request `res` belongs to.
+ *
+ * @param {object} schemas - An object mapping status codes to the Joi schema that payloads
+ * sent with that status should satisfy. Each schema may be given in any of the forms which
+ * parameter validations accept, including the `[schema, options]` tuple.
+ *
+ * @param {object} options - Options controlling how invalid payloads are handled.
+ * @param {boolean} options.enforce - Whether invalid payloads should be replaced by a server
+ * error response. When `false`, the failure is only logged and the payload sent as-is.
+ * @param {object} options.log - The Sails logger, used to report invalid payloads.
+ * @param {*} options.invalidResponse - The payload sent via `res.serverError(...)` in place
+ * of any invalid payload, when enforcing.
+ *
+ * @example ```
+// Only ever send out the user id and display name from `getInfo`:
+responses: {
+  getInfo: {
+    200: {
+      id: Joi.string().required(),
+      displayName: Joi.string(),
+    },
+  },
+}
+```
+ */
+function guardResponses(res, actionInfo, schemas, options) {
+  // If we've no schemas, there's nothing to guard.
+  if (!(schemas instanceof Object)) {
+    return;
+  }
+
+  const originalOk = res.ok;
+  const originalJson = res.json;
+  // Tracks whether we're already sending a payload, so one response method calling another
+  // (such as `res.ok` calling `res.json`) won't have its payload validated twice.
+  let isSending = false;
+
+  const send = (method, statusCode, data) => {
+    if (isSending || !(schemas[statusCode] instanceof Object)) {
+      isSending = true;
+      return method.call(res, data);
+    }
+    isSending = true;
+
+    const { joiSchema, joiSchemaOpts } = extractJoiSchema(schemas[statusCode]);
+    const joiResult = joiSchema.validate(data, Object.assign({ stripUnknown: true }, joiSchemaOpts));
+
+    // All good, so send out the sanitised payload.
+    if (!joiResult.error) {
+      return method.call(res, joiResult.value);
+    }
+
+    // Otherwise, log and either send out an error in place of the payload or just send it as-is.
+    options.log.error('[sails-hook-stockade]', `The ${statusCode} response payload for action "${actionInfo.path}" failed validation${options.enforce ? '' : ' (report only)'}:`, util.inspect(joiResult.error.details));
+    if (!options.enforce) {
+      return method.call(res, data);
+    }
+    return res.serverError(options.invalidResponse);
+  };
+
+  if (typeof originalOk === 'function') {
+    res.ok = (data) => send(originalOk, 200, data);
+  }
+  if (typeof originalJson === 'function') {
+    res.json = (data) => send(originalJson, res.statusCode || 200, data);
+  }
+}
+
+module.exports = guardResponses;
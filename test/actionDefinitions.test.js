@@ -0,0 +1,76 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Permissions } = require('..');
+const findActionDefinition = require('../lib/helper/findActionDefinition');
+const resolveActionConfig = require('../lib/helper/resolveActionConfig');
+const { liftApp, lowerApp } = require('./fixtures/liftApp');
+
+/**
+ * Writes the given files (keyed by path relative to a fresh temporary controllers directory),
+ * returning a fake Sails app pointed at the directory.
+ */
+function makeApp(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'stockade-controllers-'));
+  Object.keys(files).forEach(name => {
+    fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+    fs.writeFileSync(path.join(dir, name), files[name]);
+  });
+  return { config: { paths: { controllers: dir } } };
+}
+
+describe('findActionDefinition', () => {
+  it('finds the definition file of an action, ignoring case', () => {
+    const sails = makeApp({ 'user/Get-Info.js': 'module.exports = { inputs: {}, fn: async () => null };' });
+    assert.deepStrictEqual(Object.keys(findActionDefinition(sails, () => null, 'user/get-info')), ['inputs', 'fn']);
+  });
+
+  it('finds no definition where there is no file, or no controllers directory', () => {
+    assert.strictEqual(findActionDefinition(makeApp({}), () => null, 'user/get-info'), null);
+    assert.strictEqual(findActionDefinition({ config: { paths: { controllers: path.join(os.tmpdir(), 'stockade-missing') } } }, () => null, 'user/get-info'), null);
+  });
+
+  it('throws where the definition file fails to load', () => {
+    const sails = makeApp({
+      'user/broken.js': 'throw new Error(\'Broken definition!\');',
+      'user/missing-dep.js': 'require(\'./no-such-module\'); module.exports = { fn: async () => null };',
+    });
+    assert.throws(() => findActionDefinition(sails, () => null, 'user/broken'), /Broken definition!/);
+    assert.throws(() => findActionDefinition(sails, () => null, 'user/missing-dep'), err => err.code === 'MODULE_NOT_FOUND');
+  });
+
+  it('throws where the handler\'s `toJSON()` throws', () => {
+    const action = () => null;
+    action.toJSON = () => {
+      throw new Error('Bad machine!');
+    };
+    assert.throws(() => findActionDefinition(makeApp({}), action, 'user/get-info'), /Bad machine!/);
+  });
+});
+
+describe('actions2 input validation', function () {
+  this.timeout(20000);
+
+  let sails;
+  before(async () => {
+    Permissions.register({ isAdmin: () => true }, 'fixtureUser');
+    sails = await liftApp();
+  });
+  after(async () => {
+    await lowerApp(sails);
+    Permissions.unregister('fixtureUser');
+  });
+
+  it('builds schemas from inputs only where asked to', () => {
+    assert.strictEqual(resolveActionConfig(sails, sails._actions['stats/count'], 'stats/count').schema, undefined);
+    assert.ok(resolveActionConfig(sails, sails._actions['stats/total'], 'stats/total').schema);
+
+    sails.config.stockade.validateInputs = true;
+    try {
+      assert.ok(resolveActionConfig(sails, sails._actions['stats/count'], 'stats/count').schema);
+    } finally {
+      sails.config.stockade.validateInputs = false;
+    }
+  });
+});
@@ -0,0 +1,56 @@
+const assert = require('assert');
+const { Permissions } = require('..');
+const { auditActions, formatAuditTable, hasFailingIssues } = require('../lib/cli/audit');
+const { liftApp, lowerApp } = require('./fixtures/liftApp');
+
+describe('audit', function () {
+  this.timeout(20000);
+
+  let sails;
+  before(async () => {
+    Permissions.register({ isAdmin: () => true }, 'fixtureUser');
+    sails = await liftApp();
+  });
+  after(async () => {
+    await lowerApp(sails);
+    Permissions.unregister('fixtureUser');
+  });
+
+  it('reports blueprint actions as guarded by their model config', () => {
+    const entries = auditActions(sails);
+    const find = entries.find(e => e.action === 'comment/find');
+    const create = entries.find(e => e.action === 'comment/create');
+
+    assert.deepStrictEqual([find.issue, find.source], [null, 'blueprint']);
+    assert.deepStrictEqual([create.issue, create.source], [null, 'blueprint']);
+    assert.strictEqual(entries.some(e => e.issue === 'malformedAction'), false);
+  });
+
+  it('reports blueprint actions without permissions as unguarded', () => {
+    const entry = auditActions(sails).find(e => e.action === 'user/create');
+    assert.strictEqual(entry.issue, 'unguarded');
+    assert.ok(/0 misconfigured/.test(formatAuditTable(auditActions(sails))));
+  });
+
+  it('leaves out actions registered by hooks', () => {
+    // (registered just as Sails' security hook registers its CSRF token action)
+    sails.registerAction((req, res) => res.ok(), 'http/probe');
+    try {
+      const entries = auditActions(sails);
+      assert.strictEqual(entries.some(e => e.action === 'http/probe'), false);
+      assert.ok(entries.some(e => e.action === 'user/find'));
+    } finally {
+      delete sails._actions['http/probe'];
+    }
+  });
+
+  it('fails only for unguarded or misconfigured actions', () => {
+    const entry = (issue, validated) => ({ action: 'user/find', permissions: null, source: null, validated, issue, message: null });
+
+    assert.strictEqual(hasFailingIssues([entry(null, false), entry(null, true)]), false);
+    assert.strictEqual(hasFailingIssues([entry(null, true), entry('unguarded', true)]), true);
+    assert.strictEqual(hasFailingIssues([entry('badConfig', true)]), true);
+    assert.strictEqual(hasFailingIssues([entry('malformedAction', true)]), true);
+    assert.strictEqual(hasFailingIssues(auditActions(sails)), true);
+  });
+});
@@ -0,0 +1,75 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Permissions, createJsonLinesSink } = require('..');
+const { liftApp, lowerApp, request } = require('./fixtures/liftApp');
+
+describe('audit events', function () {
+  this.timeout(20000);
+
+  let sails;
+  before(async () => {
+    Permissions.register({ isAdmin: () => true }, 'fixtureUser');
+    sails = await liftApp({ stockade: { metrics: true } });
+  });
+  after(async () => {
+    await lowerApp(sails);
+    Permissions.unregister('fixtureUser');
+  });
+
+  it('leaves the response alone when listeners throw or reject, still calling later listeners', async () => {
+    const called = [];
+    const listeners = [
+      () => {
+        called.push('throws');
+        throw new Error('Listener failed!');
+      },
+      async () => {
+        called.push('rejects');
+        throw new Error('Async listener failed!');
+      },
+      () => called.push('fine'),
+    ];
+    listeners.forEach(listener => sails.on('stockade:allowed', listener));
+    try {
+      const res = await request(sails, 'GET', '/comment');
+      assert.strictEqual(res.status, 200);
+      assert.deepStrictEqual(called, ['throws', 'rejects', 'fine']);
+      assert.ok(sails.hooks.stockade.getMetrics().includes('stockade_requests_total{action="comment/find",outcome="allowed"} 1'));
+      assert.ok(!/action="comment\/find",outcome="error"/.test(sails.hooks.stockade.getMetrics()));
+    } finally {
+      listeners.forEach(listener => sails.removeListener('stockade:allowed', listener));
+    }
+  });
+
+  it('still calls listeners registered with `once` just once', async () => {
+    let calls = 0;
+    sails.once('stockade:allowed', () => calls++);
+    await request(sails, 'GET', '/comment');
+    await request(sails, 'GET', '/comment');
+    assert.strictEqual(calls, 1);
+  });
+
+  it('writes lines without an identity where `identify` throws', async () => {
+    const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'stockade-audit-')), 'audit.jsonl');
+    const sink = createJsonLinesSink(sails, filePath, {
+      events: ['allowed'],
+      identify: () => {
+        throw new Error('No session!');
+      },
+    });
+    try {
+      assert.strictEqual((await request(sails, 'GET', '/comment')).status, 200);
+    } finally {
+      await new Promise(resolve => {
+        sink.close();
+        setTimeout(resolve, 50);
+      });
+    }
+    const lines = fs.readFileSync(filePath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.strictEqual(lines.length, 1);
+    assert.strictEqual(lines[0].action, 'comment/find');
+    assert.strictEqual(lines[0].identity, undefined);
+  });
+});
@@ -0,0 +1,53 @@
+const assert = require('assert');
+const { Permissions } = require('..');
+const { liftApp, lowerApp, request } = require('./fixtures/liftApp');
+
+describe('blueprint actions', function () {
+  this.timeout(20000);
+
+  let sails;
+  before(async () => {
+    Permissions.register({ isAdmin: (p, req) => (req.headers['x-admin'] === 'yes') || 'Admins only.' }, 'fixtureUser');
+    sails = await liftApp();
+  });
+  after(async () => {
+    await lowerApp(sails);
+    Permissions.unregister('fixtureUser');
+  });
+
+  it('resolves each blueprint by the identity it is registered under', () => {
+    const hook = sails.hooks.stockade;
+    const find = hook._getActionConfig(sails._actions['comment/find'], 'comment/find');
+    const create = hook._getActionConfig(sails._actions['comment/create'], 'comment/create');
+
+    assert.strictEqual(find.issue, null);
+    assert.deepStrictEqual(find.blueprint, { model: 'comment', verb: 'read' });
+    assert.strictEqual(find.matcherSource, 'blueprint');
+    assert.strictEqual(create.issue, null);
+    assert.deepStrictEqual(create.blueprint, { model: 'comment', verb: 'write' });
+  });
+
+  it('guards blueprint requests through the model config', async () => {
+    assert.strictEqual((await request(sails, 'GET', '/comment')).status, 200);
+    assert.strictEqual((await request(sails, 'POST', '/comment', { body: { body: 'Hi' } })).status, 403);
+
+    const created = await request(sails, 'POST', '/comment', { body: { body: 'Hi' }, headers: { 'x-admin': 'yes' } });
+    assert.strictEqual(created.status, 200);
+    assert.strictEqual(created.body.body, 'Hi');
+  });
+
+  it('leaves hand-written actions named after blueprints to their controller', async () => {
+    const config = sails.hooks.stockade._getActionConfig(sails._actions['user/find'], 'user/find');
+    assert.strictEqual(config.blueprint, null);
+    assert.strictEqual(config.matcherSource, 'action');
+
+    assert.strictEqual((await request(sails, 'GET', '/user')).status, 403);
+    assert.deepStrictEqual((await request(sails, 'GET', '/user', { headers: { 'x-admin': 'yes' } })).body, { handWritten: true });
+  });
+
+  it('reports no blueprint as malformed', () => {
+    const report = sails.hooks.stockade._patchAllActions();
+    assert.deepStrictEqual(report.malformed, []);
+    assert.deepStrictEqual(report.badConfig, []);
+  });
+});
@@ -0,0 +1,58 @@
+const assert = require('assert');
+const Joi = require('joi');
+const { Permissions } = require('..');
+const buildErrorCatalogue = require('../lib/validations/errorCatalogue');
+const { liftApp, lowerApp } = require('./fixtures/liftApp');
+
+describe('buildErrorCatalogue', function () {
+  this.timeout(20000);
+
+  let sails;
+  let catalogue;
+  before(async () => {
+    Permissions.register({ isAdmin: () => true }, 'fixtureUser');
+    sails = await liftApp();
+    catalogue = buildErrorCatalogue(sails);
+  });
+  after(async () => {
+    await lowerApp(sails);
+    Permissions.unregister('fixtureUser');
+  });
+
+  it('gives the messages Joi itself produces for rejected parameters', () => {
+    // the fixture `report/show` action validates against this very schema
+    const schema = Joi.object({ limit: Joi.number().required() });
+    const messageFor = params => schema.validate(params).error.details[0].message;
+
+    assert.strictEqual(catalogue['report.show.limit.any.required'], messageFor({}));
+    assert.strictEqual(catalogue['report.show.limit.number.base'], messageFor({ limit: 'many' }));
+    assert.strictEqual(catalogue['report.show.limit.number.infinity'], messageFor({ limit: Infinity }));
+  });
+
+  it('lists the keys of every schema chosen by permission outcome', () => {
+    assert.strictEqual(catalogue['report.update.status.string.base'], Joi.object({ status: Joi.string() }).validate({ status: 5 }).error.details[0].message);
+    assert.strictEqual(typeof catalogue['report.update.title.string.empty'], 'string');
+  });
+
+  it('gives rule messages as templates, keeping placeholders other than the label', () => {
+    const schema = Joi.object({ limit: Joi.number().min(1) });
+    const sails = {
+      _actions: { 'stub/show': function show() {} },
+      config: { blueprints: { _controllers: { stub: { permissions: { show: Permissions.none() }, validations: { show: schema } } } } },
+      models: {},
+    };
+    const template = buildErrorCatalogue(sails)['stub.show.limit.number.min'];
+
+    assert.strictEqual(template, '"limit" must be greater than or equal to {{#limit}}');
+    assert.strictEqual(template.replace('{{#limit}}', 1), schema.validate({ limit: 0 }).error.details[0].message);
+  });
+
+  it('leaves out keys depending on the names of the parameters sent', () => {
+    assert.deepStrictEqual(Object.keys(catalogue).filter(key => key.includes('*') || key.endsWith('.object.unknown')), []);
+  });
+
+  it('lists existence and uniqueness checks', () => {
+    assert.strictEqual(typeof catalogue['profile.show.id.exists'], 'string');
+    assert.strictEqual(typeof catalogue['profile.claim.name.unique'], 'string');
+  });
+});
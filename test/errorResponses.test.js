@@ -0,0 +1,75 @@
+const assert = require('assert');
+const { Joi, Permissions } = require('..');
+const { testAction } = require('../testing');
+
+const AccountController = {
+  _config: {
+    permissions: {
+      show: Permissions.for('errorResponsesUser').allOf('isLoggedIn', 'isAdmin'),
+      update: Permissions.for('errorResponsesUser').allOf('isLoggedIn'),
+    },
+    validations: {
+      update: { userId: Joi.number().required() },
+    },
+  },
+  show(req, res) {
+    return res.ok();
+  },
+  update(req, res) {
+    return res.ok();
+  },
+  archive(req, res) {
+    return res.ok();
+  },
+};
+
+// The response body as it would be sent over the wire.
+const sent = result => JSON.parse(JSON.stringify(result.body));
+
+describe('built-in error responses', () => {
+  before(() => {
+    Permissions.register({
+      isLoggedIn: (p, req) => !!req.user || 'You must be logged in.',
+      isAdmin: (p, req) => !!(req.user && req.user.isAdmin) || 'You must be an administrator.',
+    }, 'errorResponsesUser');
+  });
+  after(() => {
+    Permissions.unregister('errorResponsesUser');
+  });
+
+  it('sends a rejected parameter with its key, rule and path', async () => {
+    const result = await testAction(AccountController, 'update', { user: {}, controllerIdent: 'user' });
+    assert.strictEqual(result.status, 400);
+    assert.deepStrictEqual(sent(result), {
+      name: 'paramValidationError',
+      message: '"userId" is required',
+      key: 'user.update.userId.any.required',
+      data: { rule: 'any.required', path: ['userId'] },
+    });
+  });
+
+  it('sends a permission explanation as the message, leaving out a key equal to it', async () => {
+    const result = await testAction(AccountController, 'show', { user: {} });
+    assert.strictEqual(result.status, 403);
+    assert.deepStrictEqual(sent(result), { name: 'unknownError', message: 'You must be an administrator.' });
+  });
+
+  it('groups several errors sent at once', async () => {
+    const result = await testAction(AccountController, 'show', { config: { wrapErrors: 'all' } });
+    assert.strictEqual(result.status, 403);
+    assert.deepStrictEqual(sent(result), {
+      name: 'errorGroup',
+      message: 'Multiple errors have occurred.',
+      errors: [
+        { name: 'unknownError', message: 'You must be logged in.' },
+        { name: 'unknownError', message: 'You must be an administrator.' },
+      ],
+    });
+  });
+
+  it('sends a bad config error for an action with no permissions entry', async () => {
+    const result = await testAction(AccountController, 'archive', { user: {} });
+    assert.strictEqual(result.status, 403);
+    assert.strictEqual(sent(result).name, 'badConfig');
+  });
+});
@@ -0,0 +1,83 @@
+const assert = require('assert');
+const { Permissions } = require('..');
+const { testAction } = require('../testing');
+
+// A minimal stand-in for the Floatplane Errors hook service.
+class ServiceError {
+  constructor(name, key, status, data) {
+    Object.assign(this, { name, key, status, data });
+  }
+}
+class ServiceErrorGroup extends ServiceError {
+  constructor(errors) {
+    super('errorGroup');
+    this.errors = errors;
+  }
+}
+const FakeErrorService = {
+  createError: (name, key, status, data) => new ServiceError(name, key, status, data),
+  groupErrors: (name, key, errors) => new ServiceErrorGroup(Array.isArray(name) ? name : errors),
+  isError: err => (err instanceof ServiceError) && !(err instanceof ServiceErrorGroup),
+  isErrorGroup: err => err instanceof ServiceErrorGroup,
+};
+
+// a model validating names just as floatplane-hook-waterline-errors would, throwing service errors
+const models = {
+  link: {
+    validate(attribute, value) {
+      if (value === 'bad') {
+        throw FakeErrorService.createError('paramValidationError', 'link.name.invalid');
+      }
+      if (value === 'worse') {
+        throw FakeErrorService.groupErrors([
+          FakeErrorService.createError('paramValidationError', 'link.name.invalid', undefined, { rule: 'isNotWorse' }),
+        ]);
+      }
+    },
+  },
+};
+
+const LinkController = {
+  _config: {
+    permissions: { update: Permissions.none() },
+    validations: {
+      update: { waterline: { 'profile.name': 'Link.name', 'links[].name': 'Link.name' } },
+    },
+  },
+  update(req, res) {
+    return res.ok();
+  },
+};
+
+describe('Waterline errors from an error service', () => {
+  let originalService;
+  before(() => {
+    originalService = global.ErrorService;
+    global.ErrorService = FakeErrorService;
+  });
+  after(() => {
+    global.ErrorService = originalService;
+  });
+
+  // (a sole error is sent as-is, while several are sent as a group)
+  const errorsOf = body => (body.errors || [body]);
+  const paths = body => errorsOf(body).map(e => e.data.path);
+
+  it('attaches the nested path of the value validated', async () => {
+    const result = await testAction(LinkController, 'update', { params: { profile: { name: 'bad' } }, models });
+    assert.strictEqual(result.status, 400);
+    assert.deepStrictEqual(paths(result.body), [['profile', 'name']]);
+    assert.deepStrictEqual(errorsOf(result.body)[0].data.rule, 'Link.name');
+  });
+
+  it('attaches the index of the array item validated', async () => {
+    const result = await testAction(LinkController, 'update', {
+      params: { links: [{ name: 'good' }, { name: 'bad' }, { name: 'worse' }] },
+      models,
+    });
+    assert.strictEqual(result.status, 400);
+    assert.deepStrictEqual(paths(result.body), [['links', 1, 'name'], ['links', 2, 'name']]);
+    // (keeping any rule the service named itself)
+    assert.deepStrictEqual(errorsOf(result.body).map(e => e.data.rule), ['Link.name', 'isNotWorse']);
+  });
+});
@@ -0,0 +1,28 @@
+const { Joi, Permissions } = require('../../../../..');
+
+module.exports = {
+  _config: {
+    permissions: {
+      '*': Permissions.none(),
+    },
+    responses: {
+      show: { 200: { id: Joi.number().required(), title: Joi.string() } },
+      showBroken: { 200: { id: Joi.number().required() } },
+    },
+    rateLimits: {
+      poll: { limit: 1, window: 60 * 1000 },
+    },
+  },
+
+  show(req, res) {
+    return res.json({ id: 1, title: 'Hello', authorEmail: 'jane@example.com' });
+  },
+
+  showBroken(req, res) {
+    return res.json({ title: 'No id' });
+  },
+
+  poll(req, res) {
+    return res.json({ notes: [] });
+  },
+};
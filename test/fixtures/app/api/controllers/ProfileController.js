@@ -0,0 +1,26 @@
+const { Permissions } = require('../../../../..');
+
+module.exports = {
+  _config: {
+    permissions: {
+      '*': Permissions.none(),
+    },
+    validations: {
+      show: { waterline: { id: { exists: 'User.id' } } },
+      claim: { waterline: { name: { unique: 'User.name' } } },
+      showJane: { waterline: { id: { exists: 'User.id', criteria: { name: 'Jane' } } } },
+    },
+  },
+
+  show(req, res) {
+    return res.json({ ok: true });
+  },
+
+  claim(req, res) {
+    return res.json({ ok: true });
+  },
+
+  showJane(req, res) {
+    return res.json({ ok: true });
+  },
+};
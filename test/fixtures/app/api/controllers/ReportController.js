@@ -0,0 +1,35 @@
+const { Joi, Permissions } = require('../../../../..');
+
+module.exports = {
+  _config: {
+    permissions: {
+      '*': Permissions.for('fixtureUser').allOf('isAdmin'),
+      update: Permissions.for('fixtureUser').anyOf('isAdmin', 'isAnyone'),
+    },
+    validations: {
+      show: { limit: Joi.number().required() },
+      showSecret: { limit: Joi.number().required() },
+      update: {
+        byPermission: {
+          'fixtureUser:isAdmin': { title: Joi.string(), status: Joi.string() },
+          '*': { title: Joi.string() },
+        },
+      },
+    },
+    phaseOrders: {
+      showSecret: 'permissionsFirst',
+    },
+  },
+
+  show(req, res) {
+    return res.json(req.validatedParams);
+  },
+
+  showSecret(req, res) {
+    return res.json(req.validatedParams);
+  },
+
+  update(req, res) {
+    return res.json(req.validatedParams);
+  },
+};
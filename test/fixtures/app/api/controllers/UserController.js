@@ -0,0 +1,13 @@
+const { Permissions } = require('../../../../..');
+
+module.exports = {
+  _config: {
+    permissions: {
+      find: Permissions.for('fixtureUser').allOf('isAdmin'),
+    },
+  },
+
+  find(req, res) {
+    return res.json({ handWritten: true });
+  },
+};
@@ -0,0 +1,12 @@
+const { Permissions } = require('../../../../../..');
+
+module.exports = {
+  friendlyName: 'Count',
+  inputs: {
+    limit: { type: 'number', required: true },
+  },
+  permissions: Permissions.none(),
+  fn: async function ({ limit }) {
+    return { limit };
+  },
+};
@@ -0,0 +1,13 @@
+const { Permissions } = require('../../../../../..');
+
+module.exports = {
+  friendlyName: 'Total',
+  inputs: {
+    limit: { type: 'number', required: true },
+  },
+  permissions: Permissions.none(),
+  validateInputs: true,
+  fn: async function ({ limit }) {
+    return { limit };
+  },
+};
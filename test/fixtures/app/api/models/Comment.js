@@ -0,0 +1,13 @@
+const { Permissions } = require('../../../../..');
+
+module.exports = {
+  attributes: {
+    body: { type: 'string' },
+  },
+  _config: {
+    permissions: {
+      read: Permissions.none(),
+      write: Permissions.for('fixtureUser').allOf('isAdmin'),
+    },
+  },
+};
@@ -0,0 +1,6 @@
+module.exports.datastores = {
+  default: {
+    adapter: require('sails-disk'),
+    inMemoryOnly: true,
+  },
+};
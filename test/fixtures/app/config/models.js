@@ -0,0 +1,8 @@
+module.exports.models = {
+  migrate: 'drop',
+  attributes: {
+    id: { type: 'number', autoIncrement: true },
+    createdAt: { type: 'number', autoCreatedAt: true },
+    updatedAt: { type: 'number', autoUpdatedAt: true },
+  },
+};
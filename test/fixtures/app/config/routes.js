@@ -0,0 +1,9 @@
+module.exports.routes = {
+  'GET /profile/show': 'profile/show',
+  'POST /profile/show': 'profile/show',
+  'POST /profile/claim': 'profile/claim',
+  'POST /profile/show-jane': 'profile/showJane',
+  'GET /report/show': 'report/show',
+  'GET /report/show-secret': 'report/showSecret',
+  'POST /report/update': 'report/update',
+};
@@ -0,0 +1,76 @@
+const http = require('http');
+const path = require('path');
+const Sails = require('sails').constructor;
+
+/**
+ * Lifts the fixture app found in `test/fixtures/app` with the hook and an in-memory ORM,
+ * leaving out the hooks it has no use for. Any given config is merged over the defaults.
+ *
+ * @returns {Promise<Object>} Resolves with the lifted Sails app.
+ */
+function liftApp(config) {
+  const sails = new Sails();
+  const hooks = {
+    stockade: require('../..'),
+    orm: require('sails-hook-orm'),
+    grunt: false,
+    views: false,
+    session: false,
+    sockets: false,
+    pubsub: false,
+    i18n: false,
+    security: false,
+  };
+  return new Promise((resolve, reject) => {
+    sails.lift(Object.assign({
+      appPath: path.join(__dirname, 'app'),
+      port: 0,
+      environment: 'test',
+      log: { level: 'silent' },
+    }, config, {
+      hooks: Object.assign(hooks, config && config.hooks),
+    }), err => (err ? reject(err) : resolve(sails)));
+  });
+}
+
+/**
+ * Lowers the given Sails app.
+ *
+ * @returns {Promise}
+ */
+function lowerApp(sails) {
+  return new Promise(resolve => sails.lower(() => resolve()));
+}
+
+/**
+ * Sends a request to the given lifted app, resolving with `{ status, headers, body }` where the
+ * body is parsed where the response is JSON.
+ *
+ * @returns {Promise<Object>}
+ */
+function request(sails, method, urlPath, options) {
+  options = options || {};
+  const payload = (typeof options.body !== 'undefined') ? JSON.stringify(options.body) : undefined;
+  const headers = Object.assign(payload ? { 'content-type': 'application/json' } : {}, options.headers);
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      host: '127.0.0.1',
+      port: sails.hooks.http.server.address().port,
+      method,
+      path: urlPath,
+      headers,
+    }, res => {
+      let data = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => {
+        const isJson = /json/.test(res.headers['content-type'] || '') && (data.length > 0);
+        resolve({ status: res.statusCode, headers: res.headers, body: isJson ? JSON.parse(data) : data });
+      });
+    });
+    req.on('error', reject);
+    req.end(payload);
+  });
+}
+
+module.exports = { liftApp, lowerApp, request };
@@ -0,0 +1,97 @@
+const assert = require('assert');
+const { Joi, Permissions, fromModel } = require('..');
+const { resolveModelSchemas } = require('../lib/validations/fromModel');
+const { testAction } = require('../testing');
+
+const Account = {
+  primaryKey: 'id',
+  attributes: {
+    id: { type: 'number', autoMigrations: { autoIncrement: true } },
+    createdAt: { type: 'number', autoCreatedAt: true },
+    name: { type: 'string', required: true, maxLength: 5 },
+    email: { type: 'string', isEmail: true },
+    role: { type: 'string', isIn: ['admin', 'member'] },
+    age: { type: 'number', isInteger: true, min: 0 },
+    passwordHash: { type: 'string' },
+    comments: { collection: 'comment' },
+  },
+};
+const sails = { models: { account: Account } };
+
+const AccountController = {
+  _config: {
+    permissions: {
+      '*': Permissions.none(),
+    },
+    validations: {
+      create: fromModel('Account', { omit: ['passwordHash'] }),
+      update: { body: fromModel('Account', { pick: ['name', 'age'], partial: true }), waterline: {} },
+    },
+  },
+  create(req, res) {
+    return res.ok();
+  },
+  update(req, res) {
+    return res.ok();
+  },
+};
+
+describe('fromModel', () => {
+  it('takes every attribute a client would send, carrying over types and rules', () => {
+    const schema = fromModel('Account').resolve(sails);
+    assert.deepStrictEqual(Object.keys(schema.describe().keys), ['name', 'email', 'role', 'age', 'passwordHash']);
+    assert.strictEqual(schema.validate({ name: 'Jane' }).error, undefined);
+    [
+      [{}, 'any.required'],
+      [{ name: 'Johnny' }, 'string.max'],
+      [{ name: 'Jane', email: 'jane' }, 'string.email'],
+      [{ name: 'Jane', role: 'owner' }, 'any.only'],
+      [{ name: 'Jane', age: 1.5 }, 'number.integer'],
+      [{ name: 'Jane', age: -1 }, 'number.min'],
+      [{ name: 'Jane', id: 1 }, 'object.unknown'],
+    ].forEach(([value, type]) => assert.strictEqual(schema.validate(value).error.details[0].type, type));
+  });
+
+  it('picks, omits and makes attributes optional as asked', () => {
+    assert.deepStrictEqual(Object.keys(fromModel('Account', { omit: ['passwordHash', 'role'] }).resolve(sails).describe().keys), ['name', 'email', 'age']);
+    const picked = fromModel('Account', { pick: ['id', 'name'], partial: true }).resolve(sails);
+    assert.deepStrictEqual(Object.keys(picked.describe().keys), ['id', 'name']);
+    assert.strictEqual(picked.validate({}).error, undefined);
+  });
+
+  it('builds each schema only once per model', () => {
+    const reference = fromModel('Account');
+    assert.strictEqual(reference.resolve(sails), reference.resolve(sails));
+  });
+
+  it('rejects unknown models and attributes', () => {
+    assert.throws(() => fromModel(Account), /to be a string/);
+    assert.throws(() => fromModel('Account', { pick: 'name' }), /`pick` option/);
+    assert.throws(() => fromModel('Ghost').resolve(sails), /no such model has been loaded/);
+    assert.throws(() => fromModel('Account', { omit: ['nickname'] }).resolve(sails), /no attribute named "nickname"/);
+  });
+
+  it('resolves references nested within validation configs, leaving the rest untouched', () => {
+    const untouched = { name: Joi.string() };
+    assert.strictEqual(resolveModelSchemas(untouched, sails), untouched);
+
+    const config = { body: [fromModel('Account', { pick: ['name'] }), { allowUnknown: true }], waterline: {} };
+    const resolved = resolveModelSchemas(config, sails);
+    assert.notStrictEqual(resolved, config);
+    assert.ok(Joi.isSchema(resolved.body[0]));
+    assert.deepStrictEqual(resolved.body[1], { allowUnknown: true });
+    assert.strictEqual(resolved.waterline, config.waterline);
+  });
+
+  it('validates requests against the resolved schema', async () => {
+    const models = { account: Account };
+    const created = await testAction(AccountController, 'create', { params: { name: 'Jane', age: 30 }, models });
+    assert.deepStrictEqual([created.status, created.validatedParams], [200, { name: 'Jane', age: 30 }]);
+
+    const rejected = await testAction(AccountController, 'create', { params: { name: 'Jane', passwordHash: 'x' }, models });
+    assert.deepStrictEqual([rejected.status, rejected.details[0].type], [400, 'object.unknown']);
+
+    const updated = await testAction(AccountController, 'update', { body: { age: 31 }, models });
+    assert.deepStrictEqual([updated.status, updated.validatedParams], [200, { body: { age: 31 } }]);
+  });
+});
@@ -0,0 +1,98 @@
+const assert = require('assert');
+const { Permissions } = require('..');
+const { liftApp, lowerApp, request } = require('./fixtures/liftApp');
+
+describe('introspection routes', function () {
+  this.timeout(20000);
+
+  before(() => {
+    Permissions.register({ isAdmin: (p, req) => (req.headers['x-admin'] === 'yes') || 'Admins only.' }, 'fixtureUser');
+  });
+  after(() => {
+    Permissions.unregister('fixtureUser');
+  });
+
+  describe('when enabled', () => {
+    let sails;
+    before(async () => {
+      sails = await liftApp({ stockade: { introspection: true } });
+    });
+    after(() => lowerApp(sails));
+
+    it('lists every action with its resolved guards', async () => {
+      const res = await request(sails, 'GET', '/__stockade/actions');
+      assert.strictEqual(res.status, 200);
+      const actions = res.body.map(a => a.action);
+      assert.deepStrictEqual(actions, actions.slice().sort());
+
+      const show = res.body.find(a => a.action === 'report/show');
+      assert.deepStrictEqual(
+        [show.patched, show.summary, show.source, show.mode, show.phaseOrder, show.issue],
+        [true, 'fixtureUser:allOf(isAdmin)', 'controller', 'enforce', 'paramsFirst', null]
+      );
+      assert.deepStrictEqual(show.schema.joi.keys.limit, { type: 'number', flags: { presence: 'required' } });
+
+      const update = res.body.find(a => a.action === 'report/update');
+      assert.deepStrictEqual([update.summary, update.source], ['fixtureUser:anyOf(isAdmin, isAnyone)', 'action']);
+      assert.deepStrictEqual(Object.keys(update.schema.byPermission), ['fixtureUser:isAdmin', '*']);
+      assert.strictEqual(res.body.find(a => a.action === 'report/showsecret').phaseOrder, 'permissionsFirst');
+    });
+
+    it('explains a simulated request, running every step', async () => {
+      const res = await request(sails, 'POST', '/__stockade/explain', { body: { action: 'report/show', params: {} } });
+      assert.strictEqual(res.status, 200);
+      assert.deepStrictEqual([res.body.action, res.body.allowed, res.body.summary], ['report/show', false, 'fixtureUser:allOf(isAdmin)']);
+      assert.deepStrictEqual(res.body.params, {
+        hasPassed: false,
+        errors: [{ message: '"limit" is required', path: ['limit'], type: 'any.required', key: 'report.show.limit.any.required' }],
+      });
+      assert.deepStrictEqual(res.body.permissions, {
+        hasPassed: false,
+        passedValidations: [],
+        failedValidations: [{ name: 'fixtureUser:isAdmin', explanation: 'Admins only.' }],
+        thrownErrors: [],
+      });
+    });
+
+    it('explains an allowed request without running the action', async () => {
+      const res = await request(sails, 'POST', '/__stockade/explain', {
+        body: { action: 'Report/Show', headers: { 'x-admin': 'yes' }, params: { limit: 5 } },
+      });
+      assert.deepStrictEqual([res.body.action, res.body.allowed], ['report/show', true]);
+      assert.deepStrictEqual(res.body.params.validatedParams, { limit: 5 });
+      assert.deepStrictEqual(res.body.permissions.passedValidations, ['fixtureUser:isAdmin']);
+      assert.strictEqual(sails.hooks.stockade.getMetrics().includes('action="report/show"'), false);
+    });
+
+    it('responds with a 404 for unknown actions', async () => {
+      const res = await request(sails, 'POST', '/__stockade/explain', { body: { action: 'report/missing' } });
+      assert.strictEqual(res.status, 404);
+    });
+  });
+
+  it('serves nothing unless enabled', async () => {
+    const sails = await liftApp();
+    try {
+      assert.strictEqual((await request(sails, 'GET', '/__stockade/actions')).status, 404);
+    } finally {
+      await lowerApp(sails);
+    }
+  });
+
+  it('serves nothing in production, whatever the setting', async () => {
+    // Sails sets NODE_ENV to match a production lift, which would leak into later lifts
+    const nodeEnv = process.env.NODE_ENV;
+    const sails = await liftApp({ environment: 'production', models: { migrate: 'safe' }, stockade: { introspection: true } });
+    try {
+      assert.strictEqual((await request(sails, 'GET', '/__stockade/actions')).status, 404);
+      assert.strictEqual((await request(sails, 'POST', '/__stockade/explain', { body: { action: 'report/show' } })).status, 404);
+    } finally {
+      await lowerApp(sails);
+      if (typeof nodeEnv === 'undefined') {
+        delete process.env.NODE_ENV;
+      } else {
+        process.env.NODE_ENV = nodeEnv;
+      }
+    }
+  });
+});
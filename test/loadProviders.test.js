@@ -0,0 +1,89 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Permissions, loadProviders, loadProvidersAsync } = require('..');
+
+// Provider files are written outside the repo, so must require Stockade by its full path.
+const STOCKADE = JSON.stringify(require.resolve('stockade'));
+
+/**
+ * Writes the given files (keyed by path relative to a fresh temporary directory), returning
+ * the directory.
+ */
+function writeProviderDir(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'stockade-providers-'));
+  Object.keys(files).forEach(name => {
+    fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+    fs.writeFileSync(path.join(dir, name), files[name]);
+  });
+  return dir;
+}
+
+describe('loadProviders', () => {
+  const registered = [];
+  afterEach(() => {
+    registered.splice(0).forEach(p => Permissions.unregister(p.name, p.namespace));
+  });
+
+  it('registers every provider synchronously, namespaced by directory', () => {
+    const dir = writeProviderDir({
+      'lpSync.js': `module.exports = { provider: { yes: () => true } };`,
+      'lpNested/lpInner.js': `module.exports = { register: ({ name, namespace }) => require(${STOCKADE}).register({ no: () => false }, name, namespace) };`,
+    });
+    const loaded = loadProviders(dir, { recursive: true });
+    registered.push(...loaded.providers);
+
+    assert.deepStrictEqual(loaded.providers.map(p => `${p.namespace}:${p.name}`).sort(), ['global:lpSync', 'lpNested:lpInner']);
+    assert.strictEqual(typeof loaded.reload, 'function');
+  });
+
+  it('throws straight away for a file returning a promise from #register(...)', () => {
+    const dir = writeProviderDir({
+      'lpPromised.js': `module.exports = { register: async () => {} };`,
+    });
+    assert.throws(() => loadProviders(dir), /must be loaded through `loadProvidersAsync/);
+  });
+
+  it('leaves no rejection unhandled for a file whose #register(...) rejects', async () => {
+    const dir = writeProviderDir({
+      'lpRejected.js': `module.exports = { register: async () => { throw new Error('No role table.'); } };`,
+    });
+    const register = require('stockade').register;
+    const unhandled = [];
+    const onUnhandled = err => unhandled.push(err);
+    process.on('unhandledRejection', onUnhandled);
+    try {
+      assert.throws(() => loadProviders(dir), /must be loaded through `loadProvidersAsync/);
+      await new Promise(resolve => setTimeout(resolve, 10));
+    } finally {
+      process.removeListener('unhandledRejection', onUnhandled);
+    }
+    assert.deepStrictEqual(unhandled, []);
+    // (and Stockade is left just as it was)
+    assert.strictEqual(require('stockade').register, register);
+  });
+
+  it('throws Stockade\'s own error for duplicate provider names, naming the file', () => {
+    const dir = writeProviderDir({
+      'a.js': `module.exports = { name: 'lpDuplicate', provider: { yes: () => true } };`,
+      'b.js': `module.exports = { name: 'lpDuplicate', provider: { yes: () => true } };`,
+    });
+    registered.push({ name: 'lpDuplicate', namespace: 'global' });
+    assert.throws(() => loadProviders(dir), /"b\.js".*already registered name "lpDuplicate"/);
+  });
+});
+
+describe('loadProvidersAsync', () => {
+  it('awaits each asynchronous #register(...) before resolving', async () => {
+    const dir = writeProviderDir({
+      'lpAsync.js': `module.exports = { register: async ({ name }) => { await new Promise(r => setTimeout(r, 5)); require(${STOCKADE}).register({ yes: () => true }, name); } };`,
+    });
+    const loaded = await loadProvidersAsync(dir);
+    try {
+      assert.deepStrictEqual(loaded.providers.map(p => p.name), ['lpAsync']);
+    } finally {
+      loaded.providers.forEach(p => Permissions.unregister(p.name, p.namespace));
+    }
+  });
+});
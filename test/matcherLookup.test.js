@@ -0,0 +1,70 @@
+const assert = require('assert');
+const { Permissions } = require('..');
+const resolveActionConfig = require('../lib/helper/resolveActionConfig');
+const { globToRegExp } = require('../lib/helper/resolveActionConfig');
+
+const adminOnly = Permissions.for('user').allOf('isAdmin');
+const loggedIn = Permissions.for('user').allOf('isLoggedIn');
+const anyone = Permissions.none();
+
+/**
+ * Resolves the matcher of the action at the given path (cased as the action is named), within just enough of a Sails app holding the
+ * given controller configs and global `permissions` setting.
+ */
+function lookup(identity, controllers, globalPermissions, definition) {
+  const sails = {
+    config: {
+      blueprints: { _controllers: controllers },
+      stockade: { permissions: globalPermissions || {} },
+    },
+    models: {},
+  };
+  const name = identity.split('/').pop();
+  const action = { [name]() {} }[name];
+  if (definition) {
+    // (just as Sails exposes the definition of the handlers it builds from actions2 definitions)
+    action.toJSON = () => definition;
+  }
+  const { matcher, matcherSource, issue } = resolveActionConfig(sails, action, identity.toLowerCase());
+  return { matcher, matcherSource, issue: issue && issue.type };
+}
+
+describe('matcher lookup', () => {
+  it('prefers the permissions of an actions2 definition over everything else', () => {
+    const controllers = { user: { permissions: { '*': adminOnly, getStatus: adminOnly } } };
+    const definition = { permissions: anyone, fn: async () => {} };
+    assert.deepStrictEqual(lookup('user/getStatus', controllers, { 'user/**': adminOnly }, definition), { matcher: anyone, matcherSource: 'definition', issue: null });
+  });
+
+  it('prefers the action\'s own entry over the controller \'*\' default', () => {
+    const controllers = { user: { permissions: { '*': adminOnly, getStatus: anyone } } };
+    assert.deepStrictEqual(lookup('user/getStatus', controllers), { matcher: anyone, matcherSource: 'action', issue: null });
+    assert.deepStrictEqual(lookup('user/delete', controllers), { matcher: adminOnly, matcherSource: 'controller', issue: null });
+  });
+
+  it('prefers the controller \'*\' default over global globs', () => {
+    const controllers = { user: { permissions: { '*': adminOnly } } };
+    assert.deepStrictEqual(lookup('user/getInfo', controllers, { 'user/get*': loggedIn }), { matcher: adminOnly, matcherSource: 'controller', issue: null });
+  });
+
+  it('uses the first matching global glob where the controller has no entry', () => {
+    const controllers = { user: { permissions: {} }, 'admin/stats': { permissions: {} } };
+    const globals = { 'user/get*': loggedIn, 'user/**': adminOnly, 'admin/**': adminOnly };
+    assert.deepStrictEqual(lookup('user/getInfo', controllers, globals), { matcher: loggedIn, matcherSource: 'global', issue: null });
+    assert.deepStrictEqual(lookup('user/delete', controllers, globals), { matcher: adminOnly, matcherSource: 'global', issue: null });
+    assert.deepStrictEqual(lookup('admin/stats/view', controllers, globals), { matcher: adminOnly, matcherSource: 'global', issue: null });
+  });
+
+  it('leaves actions matching nothing unguarded', () => {
+    const controllers = { user: { permissions: {} } };
+    assert.deepStrictEqual(lookup('user/delete', controllers, { 'user/get*': loggedIn }), { matcher: undefined, matcherSource: undefined, issue: 'unguarded' });
+  });
+
+  it('matches a single path segment with `*`, and any number with `**`', () => {
+    assert.ok(globToRegExp('user/get*').test('user/getinfo'));
+    assert.ok(!globToRegExp('user/get*').test('user/getinfo/extra'));
+    assert.ok(!globToRegExp('admin/*').test('admin/stats/view'));
+    assert.ok(globToRegExp('admin/**').test('admin/stats/view'));
+    assert.ok(globToRegExp('USER/Get*').test('user/getinfo'));
+  });
+});
@@ -0,0 +1,112 @@
+const assert = require('assert');
+const { Permissions } = require('..');
+const MetricsCollector = require('../lib/metrics/metricsCollector');
+const { liftApp, lowerApp, request } = require('./fixtures/liftApp');
+
+/**
+ * Returns the `stockade_requests_total` samples within the given Prometheus text, as a map of
+ * label sets to values.
+ */
+function requestTotals(text) {
+  const totals = {};
+  text.split('\n').filter(line => line.startsWith('stockade_requests_total{')).forEach(line => {
+    const [labels, value] = line.slice('stockade_requests_total'.length).split(' ');
+    totals[labels] = Number(value);
+  });
+  return totals;
+}
+
+describe('metrics', function () {
+  this.timeout(20000);
+
+  describe('collector', () => {
+    it('renders outcome counters and cumulative phase histograms', () => {
+      const metrics = new MetricsCollector([0.1, 0.01]);
+      metrics.countOutcome('user/update', 'denied');
+      metrics.countOutcome('user/create', 'allowed');
+      metrics.countOutcome('user/create', 'allowed');
+      metrics.observe('user/create', 'permissions', 5);
+      metrics.observe('user/create', 'permissions', 50);
+
+      assert.strictEqual(metrics.toPrometheus(), [
+        '# HELP stockade_requests_total Requests handled by the Stockade hook, by action and outcome.',
+        '# TYPE stockade_requests_total counter',
+        'stockade_requests_total{action="user/create",outcome="allowed"} 2',
+        'stockade_requests_total{action="user/update",outcome="denied"} 1',
+        '# HELP stockade_phase_duration_seconds Time taken by each phase of handling a request, by action.',
+        '# TYPE stockade_phase_duration_seconds histogram',
+        'stockade_phase_duration_seconds_bucket{action="user/create",phase="permissions",le="0.01"} 1',
+        'stockade_phase_duration_seconds_bucket{action="user/create",phase="permissions",le="0.1"} 2',
+        'stockade_phase_duration_seconds_bucket{action="user/create",phase="permissions",le="+Inf"} 2',
+        'stockade_phase_duration_seconds_sum{action="user/create",phase="permissions"} 0.055',
+        'stockade_phase_duration_seconds_count{action="user/create",phase="permissions"} 2',
+        '',
+      ].join('\n'));
+    });
+
+    it('escapes label values', () => {
+      const metrics = new MetricsCollector();
+      metrics.countOutcome('odd"action\\\n', 'error');
+      assert.ok(metrics.toPrometheus().includes('stockade_requests_total{action="odd\\"action\\\\\\n",outcome="error"} 1'));
+    });
+
+    it('clears every metric once reset', () => {
+      const metrics = new MetricsCollector();
+      metrics.countOutcome('user/create', 'allowed');
+      metrics.reset();
+      assert.deepStrictEqual(requestTotals(metrics.toPrometheus()), {});
+    });
+  });
+
+  describe('within a lifted app', () => {
+    let sails;
+    before(async () => {
+      Permissions.register({ isAdmin: (p, req) => (req.headers['x-admin'] === 'yes') || 'Admins only.' }, 'fixtureUser');
+      sails = await liftApp({ blueprints: { actions: true }, stockade: { metricsRoute: 'GET /metrics' } });
+    });
+    after(async () => {
+      await lowerApp(sails);
+      Permissions.unregister('fixtureUser');
+    });
+
+    const admin = { headers: { 'x-admin': 'yes' } };
+
+    it('counts the outcome of each request per action', async () => {
+      await request(sails, 'GET', '/report/show?limit=5', admin);
+      await request(sails, 'GET', '/report/show?limit=5', admin);
+      await request(sails, 'GET', '/report/show', admin);
+      await request(sails, 'GET', '/report/show?limit=5');
+      await request(sails, 'GET', '/note/poll');
+      await request(sails, 'GET', '/note/poll');
+
+      const text = sails.hooks.stockade.getMetrics();
+      assert.deepStrictEqual(requestTotals(text), {
+        '{action="note/poll",outcome="allowed"}': 1,
+        '{action="note/poll",outcome="rateLimited"}': 1,
+        '{action="report/show",outcome="allowed"}': 2,
+        '{action="report/show",outcome="denied"}': 1,
+        '{action="report/show",outcome="badRequest"}': 1,
+      });
+      assert.ok(/^stockade_phase_duration_seconds_count\{action="report\/show",phase="joi"\} 4$/m.test(text));
+      assert.ok(/^stockade_phase_duration_seconds_count\{action="report\/show",phase="action"\} 2$/m.test(text));
+    });
+
+    it('serves the metrics from the metrics route', async () => {
+      const res = await request(sails, 'GET', '/metrics');
+      assert.strictEqual(res.status, 200);
+      assert.ok(/^text\/plain;.*version=0\.0\.4/.test(res.headers['content-type']));
+      assert.strictEqual(res.body, sails.hooks.stockade.getMetrics());
+    });
+  });
+
+  it('collects nothing when disabled', async () => {
+    const sails = await liftApp({ stockade: { metrics: false, metricsRoute: 'GET /metrics' } });
+    try {
+      await request(sails, 'GET', '/report/show?limit=5');
+      assert.strictEqual(sails.hooks.stockade.getMetrics(), '');
+      assert.strictEqual((await request(sails, 'GET', '/metrics')).status, 404);
+    } finally {
+      await lowerApp(sails);
+    }
+  });
+});
@@ -0,0 +1,125 @@
+const assert = require('assert');
+const { Joi, Permissions, generateOpenApi } = require('..');
+const { liftApp, lowerApp } = require('./fixtures/liftApp');
+
+/**
+ * Builds just enough of a Sails app to document the given controller config, routing
+ * `POST /post/<action>` to each of its actions.
+ */
+function makeApp(config, stockadeConfig) {
+  const actions = Object.keys(config.permissions);
+  return {
+    _actions: actions.reduce((acc, name) => Object.assign(acc, { [`post/${name.toLowerCase()}`]: { [name]() {} }[name] }), {}),
+    config: {
+      routes: actions.reduce((acc, name) => Object.assign(acc, { [`POST /post/${name}`]: `post/${name.toLowerCase()}` }), {}),
+      blueprints: { _controllers: { post: config } },
+      stockade: Object.assign({ onParamDenied: 'forbid' }, stockadeConfig),
+    },
+    models: {},
+  };
+}
+
+describe('generateOpenApi', () => {
+  describe('of the fixture app', function () {
+    this.timeout(20000);
+
+    let sails;
+    let doc;
+    before(async () => {
+      Permissions.register({ isAdmin: () => true }, 'fixtureUser');
+      sails = await liftApp();
+      doc = generateOpenApi(sails, { info: { title: 'Fixture API', version: '0.1.0' } });
+    });
+    after(async () => {
+      await lowerApp(sails);
+      Permissions.unregister('fixtureUser');
+    });
+
+    it('documents every routed action, and nothing else', () => {
+      assert.strictEqual(doc.openapi, '3.0.3');
+      assert.deepStrictEqual(doc.info, { title: 'Fixture API', version: '0.1.0' });
+      assert.deepStrictEqual(Object.keys(doc.paths).sort(), ['/profile/claim', '/profile/show', '/profile/show-jane', '/report/show', '/report/show-secret', '/report/update']);
+      assert.deepStrictEqual(Object.keys(doc.paths['/profile/show']).sort(), ['get', 'post']);
+    });
+
+    it('documents Joi schemas of GET routes as query parameters, along with the matcher', () => {
+      const show = doc.paths['/report/show'].get;
+      assert.deepStrictEqual(show.parameters, [{ name: 'limit', in: 'query', required: true, schema: { type: 'number' } }]);
+      assert.deepStrictEqual(Object.keys(show.responses).sort(), ['200', '400', '403']);
+      assert.deepStrictEqual([show['x-stockade-permissions'].scheme, show['x-stockade-permissions'].method], ['fixtureUser', 'allOf']);
+      assert.strictEqual(show.security, undefined);
+    });
+
+    it('documents Waterline schemas of POST routes as a body typed by the model attribute', () => {
+      const claim = doc.paths['/profile/claim'].post;
+      assert.deepStrictEqual(claim.requestBody.content['application/json'].schema, { type: 'object', properties: { name: { type: 'string' } } });
+      assert.deepStrictEqual(claim.parameters, []);
+    });
+
+    it('documents actions guarded by `Permissions.none()` as needing no security', () => {
+      const claim = doc.paths['/profile/claim'].post;
+      assert.deepStrictEqual(claim['x-stockade-permissions'], { method: 'NOP' });
+      assert.deepStrictEqual(claim.security, []);
+      assert.strictEqual(claim.responses['403'], undefined);
+    });
+  });
+
+  it('documents route parameters as path parameters, and unguarded actions as always forbidden', () => {
+    const doc = generateOpenApi({
+      _actions: { 'post/show': function show() {} },
+      config: {
+        routes: { 'GET /post/:postId': 'PostController.show' },
+        blueprints: { _controllers: { post: { validations: { show: { postId: Joi.number().integer() } } } } },
+        stockade: {},
+      },
+      models: {},
+    });
+    const show = doc.paths['/post/{postId}'].get;
+    assert.deepStrictEqual(show.parameters, [{ name: 'postId', in: 'path', required: true, schema: { type: 'integer' } }]);
+    assert.deepStrictEqual(Object.keys(show.responses), ['403']);
+  });
+
+  describe('responses of open actions', () => {
+    const config = {
+      permissions: {
+        create: Permissions.none(),
+        draft: Permissions.none(),
+        list: Permissions.none(),
+      },
+      validations: {
+        create: { title: Joi.string(), pinned: Joi.boolean() },
+        draft: { title: Joi.string(), pinned: Joi.boolean() },
+      },
+      paramPermissions: {
+        create: { pinned: Permissions.for('user').allOf('isAdmin') },
+        draft: { pinned: { matcher: Permissions.for('user').allOf('isAdmin'), onDenied: 'strip' } },
+      },
+      rateLimits: {
+        list: { limit: 10, window: 60 * 1000 },
+      },
+    };
+
+    it('documents a 403 where a parameter may be forbidden', () => {
+      const create = generateOpenApi(makeApp(config)).paths['/post/create'].post;
+      assert.deepStrictEqual(create.security, []);
+      assert.ok(create.responses['403']);
+      assert.ok(/pinned/.test(create.responses['403'].description));
+    });
+
+    it('documents no 403 where denied parameters are only stripped', () => {
+      const draft = generateOpenApi(makeApp(config)).paths['/post/draft'].post;
+      assert.strictEqual(draft.responses['403'], undefined);
+
+      // (including where stripping is the default for every parameter)
+      const create = generateOpenApi(makeApp(config, { onParamDenied: 'strip' })).paths['/post/create'].post;
+      assert.strictEqual(create.responses['403'], undefined);
+    });
+
+    it('documents a 429 with its Retry-After header for rate limited actions', () => {
+      const doc = generateOpenApi(makeApp(config));
+      const list = doc.paths['/post/list'].post;
+      assert.deepStrictEqual(Object.keys(list.responses['429'].headers), ['Retry-After']);
+      assert.strictEqual(doc.paths['/post/create'].post.responses['429'], undefined);
+    });
+  });
+});
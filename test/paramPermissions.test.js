@@ -0,0 +1,99 @@
+const assert = require('assert');
+const { Joi, Permissions } = require('..');
+const { testAction } = require('../testing');
+
+const PostController = {
+  _config: {
+    permissions: {
+      '*': Permissions.for('paramPermissionsUser').allOf('isLoggedIn'),
+    },
+    validations: {
+      create: { title: Joi.string().required(), pinned: Joi.boolean(), verified: Joi.boolean() },
+      update: { body: { title: Joi.string(), verified: Joi.boolean() }, waterline: {} },
+    },
+    paramPermissions: {
+      create: {
+        pinned: Permissions.for('paramPermissionsUser').allOf('isAdmin'),
+        verified: { matcher: Permissions.for('paramPermissionsUser').allOf('isAdmin'), onDenied: 'strip' },
+      },
+      update: {
+        verified: { matcher: Permissions.for('paramPermissionsUser').allOf('isAdmin'), onDenied: 'strip' },
+      },
+    },
+  },
+  create(req, res) {
+    return res.ok();
+  },
+  update(req, res) {
+    return res.ok();
+  },
+};
+
+const admin = { isAdmin: true };
+const member = {};
+
+describe('parameter permissions', () => {
+  before(() => {
+    Permissions.register({
+      isLoggedIn: (p, req) => !!req.user || 'You must be logged in.',
+      isAdmin: (p, req) => !!(req.user && req.user.isAdmin) || 'You must be an administrator.',
+    }, 'paramPermissionsUser');
+  });
+  after(() => {
+    Permissions.unregister('paramPermissionsUser');
+  });
+
+  it('lets permitted users set guarded parameters', async () => {
+    const result = await testAction(PostController, 'create', { params: { title: 'Hi', pinned: true, verified: true }, user: admin });
+    assert.deepStrictEqual([result.outcome, result.validatedParams], ['allowed', { title: 'Hi', pinned: true, verified: true }]);
+  });
+
+  it('leaves requests not setting guarded parameters alone', async () => {
+    const result = await testAction(PostController, 'create', { params: { title: 'Hi' }, user: member });
+    assert.deepStrictEqual([result.outcome, result.validatedParams], ['allowed', { title: 'Hi' }]);
+  });
+
+  it('forbids the request where a denied parameter is set, naming it', async () => {
+    const result = await testAction(PostController, 'create', { params: { title: 'Hi', pinned: true }, user: member, controllerIdent: 'post' });
+    assert.deepStrictEqual([result.outcome, result.status], ['denied', 403]);
+    const body = JSON.parse(JSON.stringify(result.body));
+    assert.strictEqual(body.name, 'errorGroup');
+    assert.deepStrictEqual(body.errors, [
+      { name: 'unknownError', message: 'You must be an administrator.' },
+      {
+        name: 'paramPermissionError',
+        message: 'You are not permitted to set the "pinned" parameter.',
+        key: 'post.create.pinned.paramPermission',
+        data: { param: 'pinned' },
+      },
+    ]);
+  });
+
+  it('strips denied parameters set to be stripped, still running the action', async () => {
+    const result = await testAction(PostController, 'create', { params: { title: 'Hi', verified: true }, user: member });
+    assert.deepStrictEqual([result.outcome, result.validatedParams], ['allowed', { title: 'Hi' }]);
+  });
+
+  it('strips denied parameters from within request sources', async () => {
+    const result = await testAction(PostController, 'update', { body: { title: 'Hi', verified: true }, user: member });
+    assert.deepStrictEqual([result.outcome, result.validatedParams], ['allowed', { body: { title: 'Hi' } }]);
+  });
+
+  it('falls back to the `onParamDenied` setting', async () => {
+    const result = await testAction(PostController, 'create', {
+      params: { title: 'Hi', pinned: true },
+      user: member,
+      config: { onParamDenied: 'strip' },
+    });
+    assert.deepStrictEqual([result.outcome, result.validatedParams], ['allowed', { title: 'Hi' }]);
+  });
+
+  it('only reports denied parameters in report mode', async () => {
+    const result = await testAction(PostController, 'create', {
+      params: { title: 'Hi', pinned: true, verified: true },
+      user: member,
+      config: { mode: 'report' },
+    });
+    assert.deepStrictEqual([result.outcome, result.validatedParams], ['allowed', { title: 'Hi', pinned: true, verified: true }]);
+  });
+});
@@ -0,0 +1,72 @@
+const assert = require('assert');
+const { Permissions } = require('..');
+const resolveActionConfig = require('../lib/helper/resolveActionConfig');
+const { liftApp, lowerApp, request } = require('./fixtures/liftApp');
+
+const ADMIN = { 'x-admin': 'yes' };
+
+describe('phase order', function () {
+  this.timeout(20000);
+
+  let sails;
+  before(async () => {
+    Permissions.register({
+      isAdmin: (p, req) => (req.headers['x-admin'] === 'yes') || 'Admins only.',
+      isAnyone: () => true,
+    }, 'fixtureUser');
+    sails = await liftApp();
+  });
+  after(async () => {
+    await lowerApp(sails);
+    Permissions.unregister('fixtureUser');
+  });
+
+  it('validates parameters before permissions by default', async () => {
+    assert.strictEqual((await request(sails, 'GET', '/report/show')).status, 400);
+    assert.strictEqual((await request(sails, 'GET', '/report/show?limit=5')).status, 403);
+    assert.deepStrictEqual((await request(sails, 'GET', '/report/show?limit=5', { headers: ADMIN })).body, { limit: 5 });
+  });
+
+  it('validates permissions before parameters where `permissionsFirst` is set', async () => {
+    assert.strictEqual((await request(sails, 'GET', '/report/show-secret')).status, 403);
+    assert.strictEqual((await request(sails, 'GET', '/report/show-secret', { headers: ADMIN })).status, 400);
+    assert.deepStrictEqual((await request(sails, 'GET', '/report/show-secret?limit=5', { headers: ADMIN })).body, { limit: 5 });
+  });
+
+  it('chooses the schema named after a passed validation, falling back on \'*\'', async () => {
+    const body = { title: 'Q3', status: 'final' };
+    assert.deepStrictEqual((await request(sails, 'POST', '/report/update', { body, headers: ADMIN })).body, body);
+    assert.strictEqual((await request(sails, 'POST', '/report/update', { body })).status, 400);
+    assert.deepStrictEqual((await request(sails, 'POST', '/report/update', { body: { title: 'Q3' } })).body, { title: 'Q3' });
+  });
+
+  it('forces `permissionsFirst` where the schema is chosen by permission outcome', () => {
+    const action = sails._actions['report/update'];
+    assert.strictEqual(resolveActionConfig(sails, action, 'report/update').phaseOrder, 'permissionsFirst');
+
+    const controller = sails.config.blueprints._controllers.report;
+    const phaseOrders = controller.phaseOrders;
+    try {
+      controller.phaseOrders = Object.assign({}, phaseOrders, { update: 'paramsFirst' });
+      const { issue } = resolveActionConfig(sails, action, 'report/update');
+      assert.strictEqual(issue.type, 'badConfig');
+      assert.ok(/so its permissions must run first, but its `phaseOrders` entry is 'paramsFirst'/.test(issue.message), issue.message);
+    } finally {
+      controller.phaseOrders = phaseOrders;
+    }
+  });
+
+  it('rejects schemas chosen by permission outcome without a \'*\' fallback', () => {
+    const action = sails._actions['report/update'];
+    const controller = sails.config.blueprints._controllers.report;
+    const validations = controller.validations;
+    try {
+      controller.validations = Object.assign({}, validations, { update: { byPermission: { 'fixtureUser:isAdmin': validations.update.byPermission['fixtureUser:isAdmin'] } } });
+      const { issue } = resolveActionConfig(sails, action, 'report/update');
+      assert.strictEqual(issue.type, 'badConfig');
+      assert.ok(/has no '\*' entry to fall back on/.test(issue.message), issue.message);
+    } finally {
+      controller.validations = validations;
+    }
+  });
+});
@@ -0,0 +1,105 @@
+const assert = require('assert');
+const { Permissions } = require('..');
+const { liftApp, lowerApp, request } = require('./fixtures/liftApp');
+
+const STAGES = ['beforeValidation', 'afterValidation', 'beforePermissions', 'afterPermissions', 'beforeAction', 'afterAction', 'onError'];
+
+describe('request pipeline', function () {
+  this.timeout(20000);
+
+  let sails;
+  let hook;
+  let recorded;
+  before(async () => {
+    Permissions.register({ isAdmin: () => true }, 'fixtureUser');
+    sails = await liftApp({ stockade: { metrics: true } });
+    hook = sails.hooks.stockade;
+  });
+  beforeEach(() => {
+    recorded = [];
+    STAGES.forEach(stage => hook.addStep(stage, () => recorded.push(stage)));
+  });
+  afterEach(() => {
+    STAGES.forEach(stage => hook._pipelineSteps[stage].splice(0));
+  });
+  after(async () => {
+    await lowerApp(sails);
+    Permissions.unregister('fixtureUser');
+  });
+
+  /**
+   * Returns the number of requests to the given action counted under the given outcome.
+   */
+  function countOf(action, outcome) {
+    const match = hook.getMetrics().match(new RegExp(`stockade_requests_total\\{action="${action}",outcome="${outcome}"\\} (\\d+)`));
+    return match ? Number(match[1]) : 0;
+  }
+
+  it('runs the steps of every stage in order around the action', async () => {
+    const res = await request(sails, 'GET', '/comment');
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(recorded, ['beforeValidation', 'afterValidation', 'beforePermissions', 'afterPermissions', 'beforeAction', 'afterAction']);
+  });
+
+  it('stops the pipeline once a step has responded', async () => {
+    hook.addStep('beforePermissions', (req, res) => res.status(418).json({ teapot: true }));
+    const res = await request(sails, 'POST', '/comment', { body: { body: 'Hi' } });
+    assert.deepStrictEqual([res.status, res.body], [418, { teapot: true }]);
+    assert.deepStrictEqual(recorded, ['beforeValidation', 'afterValidation', 'beforePermissions']);
+    assert.strictEqual(await sails.models.comment.count(), 0);
+  });
+
+  it('hands errors to `onError` steps, which may respond in place of the 500', async () => {
+    const errors = [];
+    hook.addStep('beforeAction', () => {
+      throw new Error('Step failed!');
+    });
+    hook.addStep('onError', (req, res, context) => {
+      errors.push([context.phase, context.error.message]);
+      return res.status(503).json({ retry: true });
+    });
+    const res = await request(sails, 'GET', '/comment');
+    assert.deepStrictEqual([res.status, res.body], [503, { retry: true }]);
+    assert.deepStrictEqual(errors, [['beforeAction', 'Step failed!']]);
+    assert.deepStrictEqual(recorded.slice(-2), ['beforeAction', 'onError']);
+  });
+
+  it('counts a request whose `afterAction` step throws just once', async () => {
+    const events = [];
+    const listener = event => events.push(event.phase);
+    sails.on('stockade:actionError', listener);
+    hook.addStep('afterAction', () => {
+      throw new Error('After failed!');
+    });
+    const allowedBefore = countOf('user/find', 'allowed');
+    try {
+      const res = await request(sails, 'GET', '/user');
+      assert.deepStrictEqual(res.body, { handWritten: true });
+    } finally {
+      sails.removeListener('stockade:actionError', listener);
+    }
+    assert.deepStrictEqual(events, ['afterAction']);
+    assert.strictEqual(countOf('user/find', 'allowed'), allowedBefore + 1);
+    assert.strictEqual(countOf('user/find', 'error'), 0);
+  });
+
+  it('still responds where recording the error fails', async () => {
+    const emit = hook._emitContextEvent;
+    hook._emitContextEvent = (eventName, ...args) => {
+      if (eventName === 'actionError') {
+        throw new Error('Recording failed!');
+      }
+      return emit.call(hook, eventName, ...args);
+    };
+    hook.addStep('beforeAction', () => {
+      throw new Error('Step failed!');
+    });
+    try {
+      const res = await request(sails, 'GET', '/comment');
+      assert.strictEqual(res.status, 500);
+      assert.deepStrictEqual(recorded.slice(-2), ['beforeAction', 'onError']);
+    } finally {
+      hook._emitContextEvent = emit;
+    }
+  });
+});
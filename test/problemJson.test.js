@@ -0,0 +1,105 @@
+const assert = require('assert');
+const { Joi, Permissions, problemJson } = require('..');
+const { testAction } = require('../testing');
+
+const UserController = {
+  _config: {
+    permissions: {
+      create: Permissions.for('problemJsonUser').allOf('isLoggedIn', 'isAdmin'),
+      update: Permissions.for('problemJsonUser').allOf('isLoggedIn'),
+    },
+    validations: {
+      create: [{
+        username: Joi.string().required(),
+        links: Joi.array().items(Joi.object({ url: Joi.string().uri() })),
+      }, { abortEarly: false }],
+      update: { username: Joi.string().required() },
+    },
+  },
+  create(req, res) {
+    return res.ok();
+  },
+  update(req, res) {
+    return res.ok();
+  },
+};
+
+const config = { formatError: 'problem+json' };
+
+describe('problem+json error responses', () => {
+  before(() => {
+    Permissions.register({
+      isLoggedIn: (p, req) => !!req.user || 'You must be logged in.',
+      isAdmin: (p, req) => !!(req.user && req.user.isAdmin) || 'You must be an administrator.',
+    }, 'problemJsonUser');
+  });
+  after(() => {
+    Permissions.unregister('problemJsonUser');
+  });
+
+  it('lists each rejected parameter within `invalid-params`', async () => {
+    const result = await testAction(UserController, 'create', {
+      params: { links: [{ url: 'https://example.com' }, { url: 'nope' }] },
+      user: { isAdmin: true },
+      config,
+    });
+    assert.strictEqual(result.status, 400);
+    assert.deepStrictEqual(result.body, {
+      type: 'about:blank',
+      title: 'Bad Request',
+      status: 400,
+      instance: '/',
+      detail: 'The request parameters failed validation.',
+      'invalid-params': [
+        { name: 'username', reason: '"username" is required', rule: 'any.required' },
+        { name: 'links[1].url', reason: '"links[1].url" must be a valid uri', rule: 'string.uri' },
+      ],
+    });
+  });
+
+  it('gives a single rejected parameter as the detail', async () => {
+    const result = await testAction(UserController, 'update', { user: {}, config });
+    assert.strictEqual(result.body.detail, '"username" is required');
+  });
+
+  it('lists permission explanations within `reasons`', async () => {
+    const denied = await testAction(UserController, 'create', { params: { username: 'jane' }, config });
+    assert.deepStrictEqual(denied.body, {
+      type: 'about:blank',
+      title: 'Forbidden',
+      status: 403,
+      instance: '/',
+      detail: 'You are not permitted to perform this action.',
+      reasons: ['You must be logged in.', 'You must be an administrator.'],
+    });
+
+    const deniedOnce = await testAction(UserController, 'create', { params: { username: 'jane' }, user: {}, config });
+    assert.deepStrictEqual([deniedOnce.body.detail, deniedOnce.body.reasons], ['You must be an administrator.', ['You must be an administrator.']]);
+  });
+
+  it('sets the content type and instance where given a response and request', () => {
+    let type;
+    const res = { type: (t) => { type = t; } };
+    const problem = problemJson({ type: 'tooManyRequests', status: 429 }, { url: '/user/create' }, res);
+    assert.strictEqual(type, 'application/problem+json');
+    assert.deepStrictEqual(problem, {
+      type: 'about:blank',
+      title: 'Too Many Requests',
+      status: 429,
+      instance: '/user/create',
+      detail: 'Too many requests have been made. Please try again later.',
+    });
+  });
+
+  it('passes the failure to a `formatError` function', async () => {
+    const failures = [];
+    const formatError = (failure, req, res) => {
+      failures.push(failure);
+      return Object.assign(problemJson(failure, req, res), { type: 'https://example.com/problems/denied' });
+    };
+    const result = await testAction(UserController, 'update', { params: { username: 'jane' }, config: { formatError } });
+    assert.deepStrictEqual([result.status, result.body.type, result.body.detail], [403, 'https://example.com/problems/denied', 'You must be logged in.']);
+    assert.deepStrictEqual([failures[0].type, failures[0].status, failures[0].explanations], ['forbidden', 403, ['You must be logged in.']]);
+    assert.strictEqual(failures[0].error.message, 'You must be logged in.');
+  });
+});
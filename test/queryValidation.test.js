@@ -0,0 +1,66 @@
+const assert = require('assert');
+const { Permissions } = require('..');
+const { liftApp, lowerApp, request } = require('./fixtures/liftApp');
+
+describe('Waterline query validations', function () {
+  this.timeout(20000);
+
+  let sails;
+  let users;
+  let counted;
+  before(async () => {
+    Permissions.register({ isAdmin: () => true }, 'fixtureUser');
+    sails = await liftApp();
+    users = await sails.models.user.createEach([{ name: 'Jane' }, { name: 'John' }]).fetch();
+
+    // note every query made, so we can tell which requests never reached the database
+    const count = sails.models.user.count;
+    sails.models.user.count = function (criteria) {
+      counted.push(criteria);
+      return count.apply(this, arguments);
+    };
+  });
+  beforeEach(() => {
+    counted = [];
+  });
+  after(async () => {
+    await lowerApp(sails);
+    Permissions.unregister('fixtureUser');
+  });
+
+  it('passes `exists` checks for records which exist, and fails those which don\'t', async () => {
+    assert.strictEqual((await request(sails, 'POST', '/profile/show', { body: { id: users[0].id } })).status, 200);
+    assert.strictEqual((await request(sails, 'POST', '/profile/show', { body: { id: [users[0].id, users[1].id] } })).status, 200);
+    assert.strictEqual((await request(sails, 'POST', '/profile/show', { body: { id: 999 } })).status, 400);
+    assert.strictEqual((await request(sails, 'POST', '/profile/show', { body: { id: [users[0].id, 999] } })).status, 400);
+  });
+
+  it('passes `unique` checks only where no record matches', async () => {
+    assert.strictEqual((await request(sails, 'POST', '/profile/claim', { body: { name: 'Jill' } })).status, 200);
+    assert.strictEqual((await request(sails, 'POST', '/profile/claim', { body: { name: 'Jane' } })).status, 400);
+  });
+
+  it('scopes checks by any criteria given', async () => {
+    assert.strictEqual((await request(sails, 'POST', '/profile/show-jane', { body: { id: users[0].id } })).status, 200);
+    assert.strictEqual((await request(sails, 'POST', '/profile/show-jane', { body: { id: users[1].id } })).status, 400);
+    assert.deepStrictEqual(counted, [{ name: 'Jane', id: users[0].id }, { name: 'Jane', id: users[1].id }]);
+  });
+
+  it('fails values which Waterline would take as criteria, without querying', async () => {
+    const injected = [
+      { id: { '!=': null } },
+      { id: { in: [users[0].id] } },
+      { id: [users[0].id, { '>': 0 }] },
+      { id: null },
+    ];
+    for (const body of injected) {
+      assert.strictEqual((await request(sails, 'POST', '/profile/show', { body })).status, 400, JSON.stringify(body));
+    }
+    assert.strictEqual((await request(sails, 'POST', '/profile/claim', { body: { name: { contains: 'J' } } })).status, 400);
+
+    const res = await request(sails, 'GET', '/profile/show?id[!=]=');
+    assert.strictEqual(res.status, 400);
+    assert.ok(/Expected id to be a string, number or boolean/.test(JSON.stringify(res.body)), JSON.stringify(res.body));
+    assert.deepStrictEqual(counted, []);
+  });
+});
@@ -0,0 +1,85 @@
+const assert = require('assert');
+const { Permissions } = require('..');
+const { testAction } = require('../testing');
+const { liftApp, lowerApp, request } = require('./fixtures/liftApp');
+
+/**
+ * A rate limit store counting requests in a map, so counts persist across `testAction` calls.
+ */
+function createStore() {
+  const counts = new Map();
+  return {
+    counts,
+    increment(key, windowMs) {
+      counts.set(key, (counts.get(key) || 0) + 1);
+      return { count: counts.get(key), resetAt: Date.now() + windowMs };
+    },
+  };
+}
+
+const ExportController = {
+  _config: {
+    permissions: {
+      '*': Permissions.none(),
+    },
+    rateLimits: {
+      run: {
+        limit: { default: 1, admin: 2 },
+        window: 60 * 1000,
+        key: 'user',
+        tier: req => ((req.user && req.user.isAdmin) ? 'admin' : 'default'),
+      },
+    },
+  },
+  run(req, res) {
+    return res.ok();
+  },
+};
+
+describe('rate limits', function () {
+  this.timeout(20000);
+
+  describe('within a lifted app', () => {
+    let sails;
+    before(async () => {
+      sails = await liftApp({ blueprints: { actions: true } });
+    });
+    after(() => lowerApp(sails));
+
+    it('sends a 429 with a Retry-After header once the limit is exceeded', async () => {
+      const allowed = await request(sails, 'GET', '/note/poll');
+      assert.deepStrictEqual([allowed.status, allowed.body], [200, { notes: [] }]);
+
+      const limited = await request(sails, 'GET', '/note/poll');
+      assert.strictEqual(limited.status, 429);
+      const retryAfter = Number(limited.headers['retry-after']);
+      assert.ok((retryAfter > 0) && (retryAfter <= 60), `Unexpected Retry-After: ${limited.headers['retry-after']}`);
+      assert.strictEqual(limited.body.name, 'rateLimitedError');
+      assert.strictEqual(limited.body.data.limit, 1);
+    });
+
+    it('leaves actions with no rate limit alone', async () => {
+      await request(sails, 'GET', '/note/show');
+      assert.strictEqual((await request(sails, 'GET', '/note/show')).status, 200);
+    });
+  });
+
+  it('counts requests per user, picking the limit for their tier', async () => {
+    const rateLimitStore = createStore();
+    const run = user => testAction(ExportController, 'run', { user, config: { rateLimitStore }, controllerIdent: 'export' });
+
+    assert.strictEqual((await run({ id: 1 })).outcome, 'allowed');
+    assert.strictEqual((await run({ id: 1 })).outcome, 'rateLimited');
+    assert.strictEqual((await run({ id: 2, isAdmin: true })).outcome, 'allowed');
+    assert.strictEqual((await run({ id: 2, isAdmin: true })).outcome, 'allowed');
+    const limited = await run({ id: 2, isAdmin: true });
+    assert.deepStrictEqual([limited.outcome, limited.status], ['rateLimited', 429]);
+    assert.deepStrictEqual([...rateLimitStore.counts.keys()], ['export/run:user:1', 'export/run:user:2']);
+  });
+
+  it('lets requests through where the store fails', async () => {
+    const rateLimitStore = { increment: () => Promise.reject(new Error('Store unavailable')) };
+    const result = await testAction(ExportController, 'run', { user: { id: 1 }, config: { rateLimitStore } });
+    assert.strictEqual(result.outcome, 'allowed');
+  });
+});
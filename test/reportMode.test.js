@@ -0,0 +1,61 @@
+const assert = require('assert');
+const { Joi, Permissions } = require('..');
+const { testAction } = require('../testing');
+const { liftApp, lowerApp, request } = require('./fixtures/liftApp');
+
+describe('report mode', function () {
+  this.timeout(20000);
+
+  let sails;
+  before(async () => {
+    Permissions.register({ isAdmin: (p, req) => (req.headers['x-admin'] === 'yes') || 'Admins only.' }, 'fixtureUser');
+    sails = await liftApp({ stockade: { mode: 'report' } });
+  });
+  after(async () => {
+    await lowerApp(sails);
+    Permissions.unregister('fixtureUser');
+  });
+
+  const admin = { headers: { 'x-admin': 'yes' } };
+
+  it('lets failing requests through, counting each failure per action', async () => {
+    assert.deepStrictEqual(sails.hooks.stockade.getReportCounts(), {});
+
+    const denied = await request(sails, 'GET', '/report/show?limit=5');
+    assert.strictEqual(denied.status, 200);
+    const rejected = await request(sails, 'GET', '/report/show', admin);
+    assert.strictEqual(rejected.status, 200);
+    const passed = await request(sails, 'GET', '/report/show?limit=5', admin);
+    assert.deepStrictEqual([passed.status, passed.body], [200, { limit: 5 }]);
+
+    assert.deepStrictEqual(sails.hooks.stockade.getReportCounts(), {
+      'report/show': { denied: 1, paramsRejected: 1, paramsDenied: 0, rateLimited: 0 },
+    });
+  });
+
+  it('returns a copy of the counts', () => {
+    sails.hooks.stockade.getReportCounts()['report/show'].denied = 100;
+    assert.strictEqual(sails.hooks.stockade.getReportCounts()['report/show'].denied, 1);
+  });
+
+  it('may be set per action through a `modes` block', async () => {
+    const ReportController = {
+      _config: {
+        permissions: { show: Permissions.for('fixtureUser').allOf('isAdmin'), hide: Permissions.for('fixtureUser').allOf('isAdmin') },
+        validations: { show: { limit: Joi.number() } },
+        modes: { show: 'report' },
+      },
+      show(req, res) {
+        return res.ok();
+      },
+      hide(req, res) {
+        return res.ok();
+      },
+    };
+
+    const shown = await testAction(ReportController, 'show', { params: { limit: 5 } });
+    assert.deepStrictEqual([shown.outcome, shown.events.find(e => e.event === 'denied').reported], ['allowed', true]);
+    const hidden = await testAction(ReportController, 'hide');
+    assert.strictEqual(hidden.outcome, 'denied');
+  });
+});
@@ -0,0 +1,52 @@
+const assert = require('assert');
+const { Permissions } = require('..');
+const { liftApp, lowerApp, request } = require('./fixtures/liftApp');
+
+describe('response validation', function () {
+  this.timeout(20000);
+
+  before(() => {
+    Permissions.register({ isAdmin: () => true }, 'fixtureUser');
+  });
+  after(() => {
+    Permissions.unregister('fixtureUser');
+  });
+
+  describe('when enforced', () => {
+    let sails;
+    before(async () => {
+      sails = await liftApp({ blueprints: { actions: true }, stockade: { responseValidation: 'enforce' } });
+    });
+    after(() => lowerApp(sails));
+
+    it('strips fields the schema doesn\'t know of', async () => {
+      const res = await request(sails, 'GET', '/note/show');
+      assert.deepStrictEqual([res.status, res.body], [200, { id: 1, title: 'Hello' }]);
+    });
+
+    it('replaces payloads failing the schema with a server error', async () => {
+      const res = await request(sails, 'GET', '/note/showbroken');
+      assert.strictEqual(res.status, 500);
+      assert.strictEqual(res.body.name, 'invalidResponse');
+      assert.strictEqual(JSON.stringify(res.body).includes('No id'), false);
+    });
+  });
+
+  describe('when reported', () => {
+    let sails;
+    before(async () => {
+      sails = await liftApp({ blueprints: { actions: true }, stockade: { responseValidation: 'report' } });
+    });
+    after(() => lowerApp(sails));
+
+    it('still strips fields the schema doesn\'t know of', async () => {
+      const res = await request(sails, 'GET', '/note/show');
+      assert.deepStrictEqual([res.status, res.body], [200, { id: 1, title: 'Hello' }]);
+    });
+
+    it('sends payloads failing the schema as-is', async () => {
+      const res = await request(sails, 'GET', '/note/showbroken');
+      assert.deepStrictEqual([res.status, res.body], [200, { title: 'No id' }]);
+    });
+  });
+});
@@ -0,0 +1,66 @@
+const assert = require('assert');
+const Joi = require('joi');
+const validateParams = require('../lib/validations/requestParamValidator');
+const { extractSubschema } = require('../lib/validations/requestParamValidator');
+
+/**
+ * Builds a fake request holding the given parameters per source.
+ */
+function makeReq({ params = {}, query = {}, body = {}, headers = {} }) {
+  return {
+    params,
+    query,
+    body,
+    headers,
+    allParams: () => Object.assign({}, body, query, params),
+  };
+}
+
+const actionInfo = { name: 'update', path: 'user/update' };
+
+describe('per-source validation', () => {
+  it('leaves simple validators with parameters named after request sources as simple validators', async () => {
+    const schema = { query: Joi.string().required(), body: Joi.string() };
+    const { joiSchema, sourceSchemas } = extractSubschema(schema);
+    assert.ok(Joi.isSchema(joiSchema));
+    assert.deepStrictEqual(sourceSchemas, {});
+
+    const req = makeReq({ query: { query: 'cats' }, body: { body: 'Hi' } });
+    await validateParams(req, actionInfo, schema);
+    assert.deepStrictEqual(req.validatedParams, { query: 'cats', body: 'Hi' });
+  });
+
+  it('leaves simple validators with a `sources` parameter as simple validators', async () => {
+    const schema = { sources: { feed: Joi.string().uri() } };
+    const { joiSchema, sourceSchemas } = extractSubschema(schema);
+    assert.ok(Joi.isSchema(joiSchema));
+    assert.deepStrictEqual(sourceSchemas, {});
+
+    const req = makeReq({ body: { sources: { feed: 'https://example.com/feed' } } });
+    await validateParams(req, actionInfo, schema);
+    assert.deepStrictEqual(req.validatedParams, { sources: { feed: 'https://example.com/feed' } });
+  });
+
+  it('validates each source given next to a `waterline` schema against just that source', async () => {
+    const schema = {
+      params: { id: Joi.number().required() },
+      body: { displayName: Joi.string() },
+      waterline: {},
+    };
+    const req = makeReq({ params: { id: '5' }, body: { displayName: 'Jane' } });
+    await validateParams(req, actionInfo, schema);
+    assert.deepStrictEqual(req.validatedParams, { params: { id: 5 }, body: { displayName: 'Jane' } });
+
+    await assert.rejects(validateParams(makeReq({ body: { id: 5, displayName: 'Jane' } }), actionInfo, schema));
+  });
+
+  it('validates sources next to a `joi` schema', async () => {
+    const schema = {
+      joi: { id: Joi.number() },
+      headers: { 'x-client-version': Joi.string().required() },
+    };
+    const req = makeReq({ params: { id: '5' }, headers: { 'x-client-version': '1.0', host: 'example.com' } });
+    await validateParams(req, actionInfo, schema);
+    assert.deepStrictEqual(req.validatedParams, { id: 5, headers: { 'x-client-version': '1.0' } });
+  });
+});
@@ -0,0 +1,32 @@
+const assert = require('assert');
+const { Permissions } = require('..');
+const { liftApp, lowerApp } = require('./fixtures/liftApp');
+
+describe('startup report', function () {
+  this.timeout(20000);
+
+  before(() => {
+    Permissions.register({ isAdmin: () => true }, 'fixtureUser');
+  });
+  after(() => {
+    Permissions.unregister('fixtureUser');
+  });
+
+  it('patches every action once the router has loaded', async () => {
+    const sails = await liftApp();
+    try {
+      const identities = Object.keys(sails._actions).filter(identity => typeof sails._actions[identity] === 'function');
+      assert.ok(identities.includes('comment/find'));
+      assert.deepStrictEqual(identities.filter(identity => !sails._actions[identity]._aclHookPatch), []);
+    } finally {
+      await lowerApp(sails);
+    }
+  });
+
+  it('fails the lift with `failOnUnguarded` set, passing the error to the lift callback', async () => {
+    await assert.rejects(liftApp({ stockade: { failOnUnguarded: true } }), err => {
+      assert.ok(/action\(s\) with no entry in their controller `permissions` block, while `stockade.failOnUnguarded` is set: .*user\/create/.test(err.message), err.message);
+      return true;
+    });
+  });
+});
@@ -0,0 +1,62 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Joi, Permissions } = require('..');
+const { testAction } = require('../testing');
+
+const UserController = {
+  _config: {
+    permissions: {
+      update: Permissions.for('testActionUser').allOf('isAdmin'),
+    },
+    validations: {
+      update: { displayName: Joi.string().required() },
+    },
+  },
+  update(req, res) {
+    return res.ok();
+  },
+};
+
+describe('testAction', () => {
+  before(() => {
+    Permissions.register({ isAdmin: (p, req) => !!(req.user && req.user.isAdmin) || 'Admins only.' }, 'testActionUser');
+  });
+  after(() => {
+    Permissions.unregister('testActionUser');
+  });
+
+  it('runs requests through validation and permissions', async () => {
+    const allowed = await testAction(UserController, 'update', { params: { displayName: 'Jane' }, user: { isAdmin: true } });
+    assert.deepStrictEqual([allowed.outcome, allowed.status], ['allowed', 200]);
+
+    const denied = await testAction(UserController, 'update', { params: { displayName: 'Jane' } });
+    assert.deepStrictEqual([denied.outcome, denied.status], ['denied', 403]);
+
+    const rejected = await testAction(UserController, 'update', { user: { isAdmin: true } });
+    assert.deepStrictEqual([rejected.outcome, rejected.status], ['badRequest', 400]);
+  });
+
+  it('checks settings just as the hook does when Sails loads it', async () => {
+    await assert.rejects(testAction(UserController, 'update', { config: { phaseOrder: 'sideways' } }), /The configured `stockade.phaseOrder` is invalid/);
+    await assert.rejects(testAction(UserController, 'update', { config: { pipeline: { duringAction: () => null } } }), /The configured `stockade.pipeline` is invalid/);
+  });
+
+  it('runs the pipeline steps given by settings', async () => {
+    const result = await testAction(UserController, 'update', {
+      params: { displayName: 'Jane' },
+      user: { isAdmin: true },
+      config: { pipeline: { beforeAction: (req, res) => res.status(503).json({ maintenance: true }) } },
+    });
+    assert.deepStrictEqual([result.status, result.body], [503, { maintenance: true }]);
+  });
+
+  it('writes to any audit log set up by settings, closing it once done', async () => {
+    const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'stockade-test-action-')), 'audit.jsonl');
+    await testAction(UserController, 'update', { params: { displayName: 'Jane' }, config: { auditLog: filePath } });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    const lines = fs.readFileSync(filePath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.deepStrictEqual(lines.map(line => [line.event, line.action]), [['denied', 'test/update']]);
+  });
+});
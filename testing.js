@@ -0,0 +1,7 @@
+// Helper functions.
+const testAction = require('./lib/testing/testAction');
+
+// Exports.
+// Exposed as `stockade-hook/testing`, holding helpers used to test controller permissions and
+// validations without lifting Sails.
+module.exports.testAction = testAction;